@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+// Command-line CYK parser over grammar files written in the Simulator/PGC textarea format.
+//
+// Exit codes: 0 every sentence accepted, 1 at least one rejected, 2 usage or grammar file error.
+
+import { readFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import { parseTokens, prepareGrammar } from "../src/lib/cyk.js";
+import { diagnoseGrammarText } from "../src/lib/grammar.js";
+import { tokenizeInput } from "../src/lib/tokenizer.js";
+import { formatBracketedTree, renderAsciiTree, toJsonTree } from "../src/lib/tree.js";
+
+const USAGE = `Usage: cyk <grammar-file> [sentence ...] [options]
+
+Parses each sentence with the grammar (converted to CNF as in the browser app).
+Sentences are read from stdin, one per line, when none are given as arguments.
+
+Options:
+  --split <mode>     words (default), chars, or auto (chars unless the input has spaces);
+                     runs spelling a multi-word terminal such as "New York" become one token
+  --format <fmt>     text (default) or json
+  --max-trees <n>    parse trees to enumerate for ambiguous input (default 50)
+  --no-table         omit the CYK table from text output
+  --ascii            also print the ASCII parse tree in text output
+  -q, --quiet        print only ACCEPT/REJECT lines
+  -h, --help         show this message`;
+
+const fail = (message) => {
+  process.stderr.write(`cyk: ${message}\n${USAGE}\n`);
+  process.exit(2);
+};
+
+let parsed;
+try {
+  parsed = parseArgs({
+    allowPositionals: true,
+    options: {
+      split: { type: "string", default: "words" },
+      format: { type: "string", default: "text" },
+      "max-trees": { type: "string", default: "50" },
+      "no-table": { type: "boolean", default: false },
+      ascii: { type: "boolean", default: false },
+      quiet: { type: "boolean", short: "q", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+} catch (err) {
+  fail(err.message);
+}
+const { values: opts, positionals } = parsed;
+
+if (opts.help) {
+  process.stdout.write(`${USAGE}\n`);
+  process.exit(0);
+}
+if (!positionals.length) fail("missing grammar file");
+if (!["words", "chars", "auto"].includes(opts.split)) fail(`unknown --split mode "${opts.split}"`);
+if (!["text", "json"].includes(opts.format)) fail(`unknown --format "${opts.format}"`);
+const maxTrees = Number(opts["max-trees"]);
+if (!Number.isInteger(maxTrees) || maxTrees < 1) fail("--max-trees must be a positive integer");
+
+const [grammarFile, ...sentenceArgs] = positionals;
+let grammarText;
+try {
+  grammarText = readFileSync(grammarFile, "utf8");
+} catch (err) {
+  fail(`cannot read ${grammarFile}: ${err.message}`);
+}
+const errors = diagnoseGrammarText(grammarText).filter((d) => d.severity === "error");
+errors.forEach((d) => process.stderr.write(`${grammarFile}:${d.line}: ${d.message}\n`));
+
+const sentences = sentenceArgs.length
+  ? sentenceArgs
+  : readFileSync(0, "utf8")
+      .split("\n")
+      .map((l) => l.trim())
+      .filter(Boolean);
+
+// Upper-triangular table: row i, column j holds the symbols deriving tokens i..j
+const formatTable = (table, tokens) => {
+  const cells = tokens.map((_, i) =>
+    tokens.map((__, j) => (j < i ? "" : Array.from(table[i][j]).join(",") || "-"))
+  );
+  const widths = tokens.map((tok, j) =>
+    Math.max(tok.length, ...cells.map((row) => row[j].length))
+  );
+  const pad = (s, w) => s + " ".repeat(w - s.length);
+  const header = tokens.map((tok, j) => pad(tok, widths[j])).join(" | ");
+  const rows = cells.map((row) => row.map((c, j) => pad(c, widths[j])).join(" | "));
+  return [header, widths.map((w) => "-".repeat(w)).join("-+-"), ...rows].join("\n");
+};
+
+let allAccepted = true;
+const cnf = prepareGrammar(grammarText);
+const results = sentences.map((sentence) => {
+  const tokens = tokenizeInput(sentence, opts.split, cnf.grammar.terminals);
+  const r = parseTokens(cnf, tokens, maxTrees);
+  if (!r.accepted) allAccepted = false;
+  return { sentence, tokens, r };
+});
+
+if (opts.format === "json") {
+  const json = results.map(({ sentence, tokens, r }) => ({
+    sentence,
+    tokens,
+    accepted: r.accepted,
+    table: r.table.map((row) => row.map((cell) => Array.from(cell))),
+    parseCount: r.treeCount,
+    tree: r.tree ? toJsonTree(r.tree) : null,
+    bracketed: r.tree ? formatBracketedTree(r.tree) : null,
+    ...(r.viterbi
+      ? { probability: r.viterbi.probability, mostLikely: formatBracketedTree(r.viterbi.tree) }
+      : {}),
+  }));
+  process.stdout.write(`${JSON.stringify(json, null, 2)}\n`);
+} else {
+  results.forEach(({ sentence, tokens, r }, idx) => {
+    if (idx > 0 && !opts.quiet) process.stdout.write("\n");
+    process.stdout.write(`${r.accepted ? "ACCEPT" : "REJECT"}  ${sentence}\n`);
+    if (opts.quiet) return;
+    if (!opts["no-table"] && tokens.length) {
+      process.stdout.write(`${formatTable(r.table, tokens)}\n`);
+    }
+    if (r.tree) {
+      if (r.treeCount > 1) process.stdout.write(`Ambiguous: ${r.treeCount} parse trees\n`);
+      process.stdout.write(`Parse: ${formatBracketedTree(r.tree)}\n`);
+      if (opts.ascii) process.stdout.write(`${renderAsciiTree(r.tree)}\n`);
+    }
+    if (r.viterbi) {
+      process.stdout.write(
+        `Most likely (P = ${r.viterbi.probability}): ${formatBracketedTree(r.viterbi.tree)}\n`
+      );
+    }
+  });
+}
+
+process.exit(allAccepted ? 0 : 1);
@@ -1,4 +1,4 @@
-import React, { useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import {
   BookOpen,
   Code,
@@ -6,16 +6,138 @@ import {
   CheckCircle,
   XCircle,
   ArrowRight,
+  Check,
+  ChevronDown,
+  ChevronUp,
+  Copy,
   FileDown,
   Github,
+  Library,
+  Link,
+  Pause,
+  Pencil,
+  Play,
+  Plus,
+  SkipBack,
+  SkipForward,
+  StepBack,
+  StepForward,
+  Trash2,
+  Upload,
+  X,
 } from "lucide-react";
 import Tree from 'react-d3-tree';
+import {
+  diagnoseGrammarText,
+  formatGrammarText,
+  formatProbability,
+  parseGrammarFromText,
+} from "./lib/grammar.js";
+import {
+  cykWithPointers,
+  describeFillStep,
+  inspectCell,
+  replayFillSteps,
+  runCyk,
+  withParseTrees,
+} from "./lib/cyk.js";
+import { parseBatchText, runBatch, summarizeBatch } from "./lib/batch.js";
+import {
+  GRAMMAR_FORMATS,
+  detectGrammarFormat,
+  exportGrammar,
+  importGrammar,
+} from "./lib/formats.js";
+import {
+  deleteEntry,
+  duplicateEntry,
+  exportLibrary,
+  importLibrary,
+  loadLibrary,
+  renameEntry,
+  saveEntry,
+  saveLibrary,
+} from "./lib/library.js";
+import {
+  buildShareHash,
+  decodeWorkspace,
+  encodeWorkspace,
+  parseShareHash,
+} from "./lib/share.js";
+import { analyzeRejection, applyEdits, describeEdit } from "./lib/repair.js";
+import { applyLexicon, lexicalCategories, parseLexicon } from "./lib/lexicon.js";
+import { enumerateLanguage, minimumDerivationDepth, randomDerivation } from "./lib/generate.js";
+import { compareGrammars } from "./lib/equivalence.js";
+import { BENCHMARK_COUNTERS, fitCubic, formatCubic } from "./lib/benchmark.js";
+import { EXERCISE_GRAMMARS, generateExerciseWord, gradeExercise } from "./lib/exercise.js";
+import { emptyProduction, grammarToForm, splitSymbols, validateGrammarForm } from "./lib/grammarForm.js";
+import { DEFAULT_TOKENIZER, tokenizeInput, tokenizerPatternError } from "./lib/tokenizer.js";
+import { TABLE_FORMATS, exportCykTable } from "./lib/table.js";
+import { formatEarleyItem, runEarley } from "./lib/earley.js";
+import { parseInput, startBenchmarkJob, startParseJob } from "./lib/engine.js";
+import {
+  derivationSteps,
+  formatBracketedTree,
+  formatForestLatex,
+  formatQtreeLatex,
+  renderAsciiTree,
+  renderTreeSvg,
+  toD3Tree,
+  toJsonTree,
+} from "./lib/tree.js";
+
+const TABS = ["CYK", "Simulator", "PGC", "Compare", "RBS", "Know", "About Us"];
+
+const EARLEY_OP_STYLES = {
+  start: "bg-gray-100 text-gray-700",
+  predict: "bg-blue-100 text-blue-800",
+  scan: "bg-green-100 text-green-800",
+  complete: "bg-purple-100 text-purple-800",
+};
+
+// Tokens fed to CYK: the tab's tokenizer settings applied against the grammar's terminals
+// (and the lexicon's words, if one is loaded)
+const tokensFor = (grammarText, input, tokenizer, lexicon = null) => {
+  const terminals = parseGrammarFromText(grammarText).terminals;
+  return tokenizeInput(input, tokenizer, lexicon ? [...terminals, ...lexicon.words.keys()] : terminals);
+};
+
+// Lexicon for runCyk, or null when empty; an unreadable lexicon is reported and ignored
+const readLexicon = (text, wildcard) => {
+  try {
+    const words = parseLexicon(text);
+    return { lexicon: words.size || wildcard ? { words, wildcard } : null, error: null };
+  } catch (err) {
+    return { lexicon: null, error: err.message };
+  }
+};
+
+// Attach the Earley chart for the same tokens, so either algorithm can be shown without re-parsing
+const withEarley = (r, grammarText, lexicon = null) => ({
+  ...r,
+  earley: runEarley(grammarText, r.tokens, lexicon),
+});
+
+// PGC parse; a rejected sentence also gets its partial parse forest and repair suggestions
+const parseSentence = (grammarText, sentence, tokenizer, treeLimit = 50, lexicon = null) =>
+  parseInput(grammarText, tokensFor(grammarText, sentence, tokenizer, lexicon), {
+    treeLimit,
+    lexicon,
+    recovery: true,
+  });
 
 export default function CYKAlgorithmApp() {
   const [activeTab, setActiveTab] = useState("CYK");
   const [input, setInput] = useState("");
   const [result, setResult] = useState(null);
   const [parsing, setParsing] = useState(false);
+  // Running Simulator/PGC parse job ({ promise, cancel }) and its progress ({ length, n })
+  const [parseJob, setParseJob] = useState(null);
+  // The job whose result may still be shown; a newer parse replaces (and cancels) it
+  const currentParseJob = useRef(null);
+  const [parseProgress, setParseProgress] = useState(null);
+  // Message of the last parse job that failed (shown in place of a result)
+  const [parseError, setParseError] = useState(null);
 
   // Simulator state (freeform textarea + word)
   const [simGrammarText, setSimGrammarText] = useState(
@@ -23,230 +145,229 @@ export default function CYKAlgorithmApp() {
   );
   const [simWord, setSimWord] = useState("ababa");
 
+  // Simulator playback (null step = finished table)
+  const [playStep, setPlayStep] = useState(null);
+  const [playing, setPlaying] = useState(false);
+  const [playSpeed, setPlaySpeed] = useState(600);
+
+  // Parse tree enumeration for ambiguous input
+  const [treeLimit, setTreeLimit] = useState(50);
+  const [treeIndex, setTreeIndex] = useState(0);
+
+  // Cell inspector: the clicked cell ({ tableId, i, j }) and the derivation hovered in it
+  const [inspected, setInspected] = useState(null);
+  const [hoveredDerivation, setHoveredDerivation] = useState(null);
+
+  // Parsing algorithm shown in Simulator and PGC: "cyk", "earley" or "both"
+  const [algorithm, setAlgorithm] = useState("cyk");
+
+  // Derivation sequence view: "leftmost" or "rightmost"
+  const [derivationOrder, setDerivationOrder] = useState("leftmost");
+
   // PGC custom grammar (default to provided NLP grammar)
   const [pgcGrammarText, setPgcGrammarText] = useState(
     'S -> NP VP\nNP -> Det N\nVP -> V NP\nDet -> "the" | "a"\nN -> "cat" | "dog"\nV -> "chased"'
   );
   const [pgcSentence, setPgcSentence] = useState('the cat chased a dog');
 
-  // Grammar state for custom grammar
-  const [customGrammar, setCustomGrammar] = useState({
-    variables: "S,A,B",
-    terminals: "a,b",
-    startSymbol: "S",
-    rules: "S->AB|BA\nA->a\nB->b",
-  });
-
-  // Predefined grammar for examples
-  const exampleGrammar = {
-    variables: ["S", "A", "B"],
-    terminals: ["a", "b"],
-    startSymbol: "S",
-    rules: {
-      S: [
-        ["A", "B"],
-        ["B", "A"],
-      ],
-      A: [["a"]],
-      B: [["b"]],
-    },
-  };
-
-  const parseGrammar = (grammarInput) => {
-    const lines = grammarInput.rules.split("\n").filter((l) => l.trim());
-    const parsedRules = {};
-
-    lines.forEach((line) => {
-      const [left, right] = line.split("->");
-      const variable = left.trim();
-      const productions = right.split("|").map((prod) =>
-        prod
-          .trim()
-          .split("")
-          .filter((c) => c.trim())
-      );
-      parsedRules[variable] = productions;
-    });
+  // PGC lexicon: word -> preterminals, loaded separately from the grammar
+  const [lexiconText, setLexiconText] = useState("");
+  const [lexiconWildcard, setLexiconWildcard] = useState(false);
+  const { lexicon: pgcLexicon, error: lexiconError } = useMemo(
+    () => readLexicon(lexiconText, lexiconWildcard),
+    [lexiconText, lexiconWildcard]
+  );
 
-    return {
-      variables: grammarInput.variables.split(",").map((v) => v.trim()),
-      terminals: grammarInput.terminals.split(",").map((t) => t.trim()),
-      startSymbol: grammarInput.startSymbol.trim(),
-      rules: parsedRules,
-    };
-  };
+  // Batch testing per tab: "+ input" should be accepted, "- input" rejected
+  const [batchText, setBatchText] = useState({
+    Simulator: "+ ababa\n+ baaba\n- abb",
+    PGC: "+ the cat chased a dog\n+ a dog chased the cat\n- the cat dog",
+  });
+  const [batchResults, setBatchResults] = useState({});
 
-  // Parse textarea style grammar into CNF-like structure
-  const parseGrammarFromText = (text) => {
-    const lines = text
-      .split("\n")
-      .map((l) => l.trim())
-      .filter((l) => l.length > 0);
-    const rules = {};
-    const variablesSet = new Set();
-    const terminalsSet = new Set();
-    let startSymbol = "S";
-
-    lines.forEach((line, idx) => {
-      const arrowIndex = line.indexOf("->");
-      const altArrowIndex = arrowIndex === -1 ? line.indexOf("→") : arrowIndex;
-      const splitter = altArrowIndex !== -1 ? altArrowIndex : -1;
-      if (splitter === -1) return; // skip malformed lines
-      const left = line.slice(0, splitter).trim().replace(/\s+/g, "");
-      const right = line.slice(splitter + 2).trim();
-      if (idx === 0 && left) startSymbol = left;
-      if (!rules[left]) rules[left] = [];
-      variablesSet.add(left);
-      right
-        .split("|")
-        .map((p) => p.trim())
-        .forEach((prod) => {
-          // Support quoted terminals (multi-letter), and multi-letter variables split by spaces
-          const trimmed = prod.trim();
-          const quotedMatch = trimmed.match(/^"([^"]+)"$/);
-          if (quotedMatch) {
-            const token = quotedMatch[1];
-            terminalsSet.add(token);
-            rules[left].push([token]);
-            return;
-          }
-          const parts = trimmed.split(/\s+/).filter(Boolean);
-          if (parts.length === 1) {
-            const sym = parts[0];
-            if (/^[a-z]$/.test(sym)) {
-              terminalsSet.add(sym);
-              rules[left].push([sym]);
-              return;
-            }
-            // Support compact uppercase pairs like AB -> split to A B
-            if (/^[A-Z]{2}$/.test(sym)) {
-              const B = sym[0];
-              const C = sym[1];
-              variablesSet.add(B);
-              variablesSet.add(C);
-              rules[left].push([B, C]);
-              return;
-            }
-            // Single symbol variable (degenerate)
-            variablesSet.add(sym);
-            rules[left].push([sym]);
-            return;
-          }
-          if (parts.length === 2) {
-            const [B, C] = parts;
-            variablesSet.add(B);
-            variablesSet.add(C);
-            rules[left].push([B, C]);
-          }
-        });
-    });
+  // Compare mode: a reference grammar (A) against a student's grammar (B)
+  const [compareText, setCompareText] = useState({
+    A: "S -> a S b | a b",
+    B: "S -> a X\nX -> S b | b | X b",
+  });
+  const [compareOptions, setCompareOptions] = useState({ maxLength: 6, samples: 200, depth: 10 });
+  const [comparison, setComparison] = useState(null);
+  const [compareIndex, setCompareIndex] = useState(0);
+  // Both grammars' CYK results for the selected counterexample, parsed once per selection
+  const comparedResults = useMemo(() => {
+    const example = comparison ? comparison.counterexamples[compareIndex] : null;
+    if (!example || !example.tokens.length) return null;
     return {
-      variables: Array.from(variablesSet),
-      terminals: Array.from(terminalsSet),
-      startSymbol,
-      rules,
+      A: runCyk(comparison.texts.A, example.tokens),
+      B: runCyk(comparison.texts.B, example.tokens),
     };
-  };
-
-  // CYK for token arrays with backpointers for parse tree
-  const cykWithPointers = (tokens, grammar) => {
-    const n = tokens.length;
-    if (n === 0) return { accepted: false, table: [], back: [] };
-    const table = Array(n)
-      .fill(null)
-      .map(() => Array(n).fill(null).map(() => new Set()));
-    const back = Array(n)
-      .fill(null)
-      .map(() => Array(n).fill(null).map(() => new Map()));
+  }, [comparison, compareIndex]);
+
+  // Language enumeration and random sentences per tab
+  const [genOptions, setGenOptions] = useState({ maxLength: 5, depth: 8, count: 5 });
+  const [generated, setGenerated] = useState({});
+
+  // Complexity benchmark per tab: CYK on inputs of increasing length (see lib/benchmark.js)
+  const [benchOptions, setBenchOptions] = useState({ maxLength: 40, step: 5, repeats: 3 });
+  const [benchmarks, setBenchmarks] = useState({});
+  const [benchCounter, setBenchCounter] = useState("ruleChecks");
+  // Running benchmark job ({ promise, cancel }), its progress ({ done, total }) and failure message
+  const [benchJob, setBenchJob] = useState(null);
+  const [benchProgress, setBenchProgress] = useState(null);
+  const [benchError, setBenchError] = useState(null);
+
+  // Simulator exercise ({ grammarText, tokens, r, answers, accepted, grade }) and where it comes
+  // from: an EXERCISE_GRAMMARS index, "current" (random word) or "input" (current grammar and word)
+  const [exercise, setExercise] = useState(null);
+  const [exerciseSource, setExerciseSource] = useState("0");
+  const [exerciseError, setExerciseError] = useState("");
+
+  // Shade filled cells in LaTeX/HTML table exports
+  const [tableShading, setTableShading] = useState(true);
+
+  // Tokenizer settings per tab (see lib/tokenizer.js)
+  const [tokenizer, setTokenizer] = useState({
+    Simulator: { ...DEFAULT_TOKENIZER, mode: "auto" },
+    PGC: DEFAULT_TOKENIZER,
+  });
 
-    // diagonal from terminals
-    for (let i = 0; i < n; i++) {
-      const tok = tokens[i];
-      Object.keys(grammar.rules).forEach((A) => {
-        grammar.rules[A].forEach((prod) => {
-          if (prod.length === 1 && prod[0] === tok) {
-            table[i][i].add(A);
-            if (!back[i][i].has(A)) back[i][i].set(A, []);
-            back[i][i].get(A).push({ type: 'terminal', token: tok });
-          }
-        });
-      });
+  // Grammar import/export per tab ("auto" detects the format from the file)
+  const [grammarFormat, setGrammarFormat] = useState({ Simulator: "auto", PGC: "auto" });
+  const [grammarIoError, setGrammarIoError] = useState({});
+
+  // The URL hash mirrors the tab and workspace once a shared link (if any) has been restored
+  const [linkReady, setLinkReady] = useState(false);
+  const [linkCopied, setLinkCopied] = useState(false);
+  // Set when the clipboard refused the link ({ message, url }); the URL is then shown to copy by hand
+  const [linkCopyError, setLinkCopyError] = useState(null);
+
+  // Saved grammar library, persisted to localStorage on every change
+  const [library, setLibrary] = useState(() => loadLibrary());
+  const [libraryDraft, setLibraryDraft] = useState({ name: "", notes: "" });
+  const [renaming, setRenaming] = useState(null);
+  const [libraryError, setLibraryError] = useState(null);
+
+  // RBS tab: form-based CNF grammar (see lib/grammarForm.js) and the parse of `input` with it
+  const [rbsForm, setRbsForm] = useState({
+    variables: "S, A, B",
+    terminals: "a, b",
+    startSymbol: "S",
+    productions: [
+      { lhs: "S", rhs: "A B" },
+      { lhs: "S", rhs: "B A" },
+      { lhs: "A", rhs: "a" },
+      { lhs: "B", rhs: "b" },
+    ],
+  });
+  const [rbsResult, setRbsResult] = useState(null);
+  const rbsValidation = useMemo(() => validateGrammarForm(rbsForm), [rbsForm]);
+
+  useEffect(() => {
+    if (!playing || !result || !result.fillSteps) return undefined;
+    if (playStep !== null && playStep >= result.fillSteps.length - 1) {
+      setPlaying(false);
+      return undefined;
     }
-
-    // upper triangle
-    for (let len = 2; len <= n; len++) {
-      for (let i = 0; i <= n - len; i++) {
-        const j = i + len - 1;
-        for (let k = i; k < j; k++) {
-          Object.keys(grammar.rules).forEach((A) => {
-            grammar.rules[A].forEach((prod) => {
-              if (prod.length === 2) {
-                const [B, C] = prod;
-                if (table[i][k].has(B) && table[k + 1][j].has(C)) {
-                  table[i][j].add(A);
-                  if (!back[i][j].has(A)) back[i][j].set(A, []);
-                  back[i][j].get(A).push({ type: 'binary', left: B, right: C, split: k });
-                }
-              }
-            });
-          });
+    const timer = setTimeout(
+      () => setPlayStep((s) => (s === null ? 0 : s + 1)),
+      playSpeed
+    );
+    return () => clearTimeout(timer);
+  }, [playing, playStep, playSpeed, result]);
+
+  // A new parse result replaces the table, so an open cell inspector would show a stale cell
+  useEffect(() => {
+    setInspected(null);
+    setHoveredDerivation(null);
+  }, [result, rbsResult]);
+
+  // Restore a shared link on load and follow back/forward between tabs
+  useEffect(() => {
+    const restore = async () => {
+      const { tab, payload } = parseShareHash(window.location.hash);
+      const workspace = await decodeWorkspace(payload);
+      if (workspace) {
+        const sim = workspace.sim || {};
+        const pgc = workspace.pgc || {};
+        if (typeof sim.grammar === "string") setSimGrammarText(sim.grammar);
+        if (typeof sim.word === "string") setSimWord(sim.word);
+        if (typeof pgc.grammar === "string") setPgcGrammarText(pgc.grammar);
+        if (typeof pgc.sentence === "string") setPgcSentence(pgc.sentence);
+        if (typeof pgc.lexicon === "string") setLexiconText(pgc.lexicon);
+        const compare = workspace.compare || {};
+        if (typeof compare.reference === "string" && typeof compare.candidate === "string") {
+          setCompareText({ A: compare.reference, B: compare.candidate });
+        }
+        setLexiconWildcard(Boolean(pgc.wildcard));
+        const simTokenizer = { ...DEFAULT_TOKENIZER, mode: "auto", ...sim.tokenizer };
+        const pgcTokenizer = { ...DEFAULT_TOKENIZER, ...pgc.tokenizer };
+        setTokenizer({ Simulator: simTokenizer, PGC: pgcTokenizer });
+        // Re-run the parse the link was shared from, unless its tokenizer pattern is invalid (the
+        // tokenizer panel then shows why)
+        if (tab === "Simulator" && sim.grammar && sim.word) {
+          if (!tokenizerPatternError(simTokenizer)) {
+            setResult(parseInput(sim.grammar, tokensFor(sim.grammar, sim.word, simTokenizer)));
+          }
+        } else if (tab === "PGC" && pgc.grammar && pgc.sentence && !tokenizerPatternError(pgcTokenizer)) {
+          const { lexicon } = readLexicon(pgc.lexicon || "", Boolean(pgc.wildcard));
+          setResult(parseSentence(pgc.grammar, pgc.sentence, pgcTokenizer, 50, lexicon));
         }
       }
-    }
-
-    return { accepted: table[0][n - 1].has(grammar.startSymbol), table, back };
-  };
-
-  const buildParseTree = (grammar, tokens, back) => {
-    const n = tokens.length;
-    const S = grammar.startSymbol;
-    if (!n || !back || !back[0][n - 1].has(S)) return null;
-    const choose = (A, i, j) => {
-      const choices = back[i][j].get(A);
-      if (!choices || choices.length === 0) return { label: A };
-      const first = choices[0];
-      if (first.type === 'terminal') return { label: A, child: { label: first.token } };
-      const left = choose(first.left, i, first.split);
-      const right = choose(first.right, first.split + 1, j);
-      return { label: A, left, right };
+      if (TABS.includes(tab)) setActiveTab(tab);
+      setLinkReady(true);
     };
-    return choose(S, 0, n - 1);
-  };
-
-  const renderAsciiTree = (node) => {
-    if (!node) return '';
-    const lines = [];
-    const draw = (n, indent) => {
-      if (!n) return;
-      lines.push(`${' '.repeat(indent)}${n.label}`);
-      if (n.child) {
-        lines.push(`${' '.repeat(indent)}|`);
-        lines.push(`${' '.repeat(indent)}${n.child.label}`);
-        return;
-      }
-      if (n.left || n.right) {
-        lines.push(`${' '.repeat(indent)}/ \\`);
-        draw(n.left, indent + 0);
-        draw(n.right, indent + 2);
-      }
+    restore();
+    const onPopState = () => {
+      const { tab } = parseShareHash(window.location.hash);
+      setActiveTab(TABS.includes(tab) ? tab : "CYK");
     };
-    draw(node, 0);
-    return lines.join('\n');
-  };
-
-  const toD3Tree = (node) => {
-    if (!node) return null;
-    if (node.child) {
-      return { name: node.label, children: [{ name: node.child.label }] };
-    }
-    if (node.left || node.right) {
-      return {
-        name: node.label,
-        children: [toD3Tree(node.left), toD3Tree(node.right)].filter(Boolean),
-      };
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, []);
+
+  // Tab changes push a history entry; edits only replace the current one
+  useEffect(() => {
+    if (!linkReady) return undefined;
+    let cancelled = false;
+    encodeWorkspace({
+      sim: { grammar: simGrammarText, word: simWord, tokenizer: tokenizer.Simulator },
+      pgc: {
+        grammar: pgcGrammarText,
+        sentence: pgcSentence,
+        tokenizer: tokenizer.PGC,
+        lexicon: lexiconText,
+        wildcard: lexiconWildcard,
+      },
+      compare: { reference: compareText.A, candidate: compareText.B },
+    }).then((payload) => {
+      const hash = buildShareHash(activeTab, payload);
+      if (cancelled || hash === window.location.hash) return;
+      const { tab } = parseShareHash(window.location.hash);
+      const url = `${window.location.pathname}${window.location.search}${hash}`;
+      if (!tab || tab === activeTab) window.history.replaceState(null, "", url);
+      else window.history.pushState(null, "", url);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [
+    linkReady,
+    activeTab,
+    simGrammarText,
+    simWord,
+    pgcGrammarText,
+    pgcSentence,
+    tokenizer,
+    lexiconText,
+    lexiconWildcard,
+    compareText,
+  ]);
+
+  useEffect(() => {
+    if (!saveLibrary(library)) {
+      setLibraryError("The browser refused to store the library; changes will be lost on reload.");
     }
-    return { name: node.label };
-  };
+  }, [library]);
 
   const cykAlgorithm = (word, grammar) => {
     const n = word.length;
@@ -289,7 +410,7 @@ export default function CYKAlgorithmApp() {
                 if (table[i][k].has(B) && table[k + 1][j].has(C)) {
                   table[i][j].add(variable);
                   steps.push(
-                    `Cell[${i}][${j}]: ${variable} → ${B}${C} (from [${i}][${k}] and [${
+                    `Cell[${i}][${j}]: ${variable} → ${B} ${C} (from [${i}][${k}] and [${
                       k + 1
                     }][${j}])`
                   );
@@ -305,59 +426,1892 @@ export default function CYKAlgorithmApp() {
     return { accepted, table, steps };
   };
 
-  const handleCheckGrammar = (useCustom = false) => {
+  // Editing the RBS grammar drops the parse made with the previous version
+  const updateRbsForm = (changes) => {
+    setRbsForm({ ...rbsForm, ...changes });
+    setRbsResult(null);
+  };
+  const updateProduction = (row, changes) =>
+    updateRbsForm({ productions: rbsForm.productions.map((p, idx) => (idx === row ? { ...p, ...changes } : p)) });
+  const moveProduction = (row, delta) => {
+    const productions = [...rbsForm.productions];
+    [productions[row], productions[row + delta]] = [productions[row + delta], productions[row]];
+    updateRbsForm({ productions });
+  };
+  // Declared variables for the RBS dropdowns, plus `current` if it is no longer declared
+  const rbsVariableOptions = (current) => {
+    const declared = Array.from(new Set(splitSymbols(rbsForm.variables)));
+    return current && !declared.includes(current) ? [current, ...declared] : declared;
+  };
+
+  // RBS parse: the table and backpointers come from cykWithPointers (the grammar is already in
+  // CNF, so nothing is converted) and the step log from cykAlgorithm
+  const handleCheckGrammar = () => {
+    const { grammar } = validateGrammarForm(rbsForm);
+    if (!grammar) return;
+    setParsing(true);
+    setTimeout(() => {
+      const tokens = tokenizeInput(input, { mode: "auto" }, grammar.terminals);
+      const cr = cykWithPointers(tokens, grammar);
+      setRbsResult({
+        ...cr,
+        fillSteps: cr.steps,
+        steps: cykAlgorithm(tokens, grammar).steps,
+        tokens,
+        cnf: { grammar },
+      });
+      setParsing(false);
+    }, 300);
+  };
+
+  // `playback` ({ table, step }) shows a partially filled table with the current step highlighted;
+  // otherwise clicking a cell opens the inspector. `tableId` tells apart tables shown together.
+  const renderTable = (playback, r = result, tableId = "result") => {
+    if (!r || !r.table.length) return null;
+
+    const n = r.table.length;
+    const table = playback ? playback.table : r.table;
+    const step = playback ? playback.step : null;
+    const cell =
+      !playback && inspected && inspected.tableId === tableId && inspected.j < n ? inspected : null;
+    const highlightOf = (row, col) => {
+      if (cell) {
+        if (row === cell.i && col === cell.j) return "ring-4 ring-inset ring-yellow-400";
+        if (!hoveredDerivation || !hoveredDerivation.left) return "";
+        const { left, right } = hoveredDerivation;
+        if (row === left.i && col === left.j) return "ring-4 ring-inset ring-green-400";
+        if (row === right.i && col === right.j) return "ring-4 ring-inset ring-purple-400";
+        return "";
+      }
+      if (!step) return "";
+      if (row === step.i && col === step.j) return "ring-4 ring-inset ring-yellow-400";
+      if (step.k === null) return "";
+      if (row === step.i && col === step.k) return "ring-4 ring-inset ring-green-400";
+      if (row === step.k + 1 && col === step.j) return "ring-4 ring-inset ring-purple-400";
+      return "";
+    };
+    return (
+      <div className="table-container overflow-x-auto mt-6">
+        <div className="inline-block min-w-full">
+          <table className="border-collapse border border-gray-300">
+            <tbody>
+              {[...Array(n)].map((_, row) => (
+                <tr key={row}>
+                  {[...Array(n)].map((_, col) => {
+                    const scores = !playback && r.best ? r.best[row][col] : null;
+                    const cellContent =
+                      col >= row
+                        ? Array.from(table[row][col])
+                            .map((A) =>
+                              scores && scores.has(A)
+                                ? `${A} (${formatProbability(scores.get(A).p)})`
+                                : A
+                            )
+                            .join(", ")
+                        : "";
+                    const selectable = !playback && col >= row;
+                    return (
+                      <td
+                        key={col}
+                        onClick={
+                          selectable
+                            ? () => {
+                                setHoveredDerivation(null);
+                                setInspected(
+                                  cell && cell.i === row && cell.j === col ? null : { tableId, i: row, j: col }
+                                );
+                              }
+                            : undefined
+                        }
+                        title={selectable ? "Inspect this cell" : undefined}
+                        className={`border border-gray-300 p-3 text-center min-w-16 ${selectable ? "cursor-pointer hover:bg-yellow-50" : ""} ${
+                          col < row ? "bg-gray-100" : "bg-white"
+                        } ${
+                          col >= row && table[row][col].size > 0
+                            ? "bg-blue-50"
+                            : ""
+                        } ${highlightOf(row, col)}`}
+                      >
+                        {cellContent || "-"}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="mt-2 text-sm text-gray-600">
+            CYK Parsing Table (Lower triangular cells are unused)
+            {!playback && r.best ? "; each symbol shows its best inside probability" : ""}
+            {!playback ? ". Click a cell to see where its symbols came from." : ""}
+          </div>
+          {!playback && r.stats && (
+            <div className="mt-1 text-xs text-gray-500">
+              Work: {r.stats.cells.toLocaleString()} cells · {r.stats.splits.toLocaleString()} splits ·{" "}
+              {r.stats.ruleChecks.toLocaleString()} rule checks · {r.stats.backpointers.toLocaleString()} backpointers ·{" "}
+              {r.stats.ms.toFixed(2)} ms
+            </div>
+          )}
+          {cell && renderCellInspector(r, cell)}
+          {step && (
+            <div className="mt-2 text-sm text-gray-800 font-mono">
+              {describeFillStep(step, r.tokens)}
+            </div>
+          )}
+          {renderTableExport(r)}
+        </div>
+      </div>
+    );
+  };
+
+  const renderCellInspector = (r, cell) => {
+    const { i, j, substring, entries } = inspectCell(r, cell.i, cell.j);
+    const span = (c) => `[${c.i}][${c.j}]`;
+    return (
+      <div className="mt-3 p-4 rounded-lg border-2 border-yellow-300 bg-yellow-50 max-w-3xl">
+        <div className="flex items-start justify-between gap-3">
+          <div>
+            <div className="font-semibold text-gray-800">
+              Cell [{i}][{j}] covers <span className="font-mono">{substring.join(r.tokens.some((t) => t.length > 1) ? " " : "")}</span>
+            </div>
+            <div className="text-xs text-gray-600">
+              Tokens {i + 1}–{j + 1}; hover a derivation to highlight its source cells
+              (<span className="text-green-700">left</span> and <span className="text-purple-700">right</span>).
+            </div>
+          </div>
+          <button
+            onClick={() => {
+              setInspected(null);
+              setHoveredDerivation(null);
+            }}
+            className="p-1 rounded hover:bg-yellow-100 text-gray-600"
+            aria-label="Close cell inspector"
+            title="Close"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+        {entries.length === 0 ? (
+          <p className="mt-2 text-sm text-gray-700">
+            No nonterminal derives this substring: no rule combines any split of it.
+          </p>
+        ) : (
+          <ul className="mt-3 space-y-2 text-sm">
+            {entries.map((entry) => (
+              <li key={entry.symbol}>
+                <span className="font-semibold font-mono text-blue-900">{entry.symbol}</span>
+                {entry.probability !== null && (
+                  <span className="ml-2 text-gray-600">best inside probability {formatProbability(entry.probability)}</span>
+                )}
+                <ul className="mt-1 ml-4 space-y-1">
+                  {entry.derivations.map((d, idx) => (
+                    <li
+                      key={idx}
+                      onMouseEnter={() => setHoveredDerivation(d)}
+                      onMouseLeave={() => setHoveredDerivation(null)}
+                      className="font-mono px-2 py-0.5 rounded hover:bg-white"
+                    >
+                      {d.rule}
+                      {d.left ? (
+                        <span className="text-gray-600">
+                          {"  "}k = {d.left.j}: <span className="text-green-700">{d.left.symbol} in {span(d.left)}</span>
+                          {" + "}
+                          <span className="text-purple-700">{d.right.symbol} in {span(d.right)}</span>
+                        </span>
+                      ) : (
+                        <span className="text-gray-600">{"  "}from the input token</span>
+                      )}
+                      {d.best && <span className="ml-2 text-amber-700">(most likely)</span>}
+                    </li>
+                  ))}
+                </ul>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    );
+  };
+
+  // Exports always use the filled table, whatever step the playback is on
+  const renderTableExport = (r) => {
+    const buttonClass =
+      "inline-flex items-center px-3 py-1 border-2 border-gray-300 rounded-lg hover:bg-gray-100 text-gray-700";
+    const printTable = () => {
+      const win = window.open("", "_blank");
+      if (!win) return;
+      win.document.write(
+        `<!doctype html><html><head><meta charset="utf-8"><title>CYK table</title></head><body>${exportCykTable(r, "html", { shade: tableShading })}</body></html>`
+      );
+      win.document.close();
+      win.focus();
+      win.print();
+    };
+    return (
+      <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+        <span className="text-gray-600">Export table:</span>
+        {Object.keys(TABLE_FORMATS).map((format) => {
+          const { label, extension, mime } = TABLE_FORMATS[format];
+          return (
+            <button
+              key={format}
+              onClick={() =>
+                downloadText(`cyk-table.${extension}`, `${exportCykTable(r, format, { shade: tableShading })}\n`, mime)
+              }
+              className={buttonClass}
+            >
+              <FileDown className="w-4 h-4 mr-1" />
+              {label}
+            </button>
+          );
+        })}
+        <button onClick={printTable} className={buttonClass}>
+          Print
+        </button>
+        <label className="inline-flex items-center gap-1 text-gray-700">
+          <input type="checkbox" checked={tableShading} onChange={(e) => setTableShading(e.target.checked)} />
+          Shade filled cells
+        </label>
+      </div>
+    );
+  };
+
+  const currentTree = () =>
+    result && result.trees && result.trees.length
+      ? result.trees[Math.min(treeIndex, result.trees.length - 1)]
+      : result && result.tree;
+
+  const renderTreeExport = (tree, name = "parse-tree") => {
+    if (!tree) return null;
+    const exports = [
+      { label: "SVG", run: () => downloadText(`${name}.svg`, renderTreeSvg(tree), "image/svg+xml") },
+      { label: "PNG", run: () => downloadTreePng(`${name}.png`, renderTreeSvg(tree)) },
+      { label: "LaTeX (forest)", run: () => downloadText(`${name}-forest.tex`, `${formatForestLatex(tree)}\n`, "application/x-tex") },
+      { label: "LaTeX (qtree)", run: () => downloadText(`${name}-qtree.tex`, `${formatQtreeLatex(tree)}\n`, "application/x-tex") },
+      { label: "Bracketed", run: () => downloadText(`${name}.txt`, `${formatBracketedTree(tree)}\n`, "text/plain") },
+      { label: "JSON", run: () => downloadText(`${name}.json`, JSON.stringify(toJsonTree(tree), null, 2), "application/json") },
+    ];
+    return (
+      <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+        <span className="text-gray-600">Export:</span>
+        {exports.map(({ label, run }) => (
+          <button
+            key={label}
+            onClick={run}
+            className="inline-flex items-center px-3 py-1 border-2 border-gray-300 rounded-lg hover:bg-gray-100 text-gray-700"
+          >
+            <FileDown className="w-4 h-4 mr-1" />
+            {label}
+          </button>
+        ))}
+      </div>
+    );
+  };
+
+  // The parse tree as a numbered sequence of sentential forms; the highlighted symbol is the
+  // one rewritten to reach the next line
+  const renderDerivation = (tree) => {
+    const steps = derivationSteps(tree, derivationOrder);
+    if (!steps.length) return null;
+    return (
+      <details className="mt-3">
+        <summary className="cursor-pointer text-sm text-gray-600">Show derivation ({steps.length - 1} steps)</summary>
+        <div className="mt-2 flex flex-wrap items-center gap-2 text-sm">
+          {["leftmost", "rightmost"].map((order) => (
+            <button
+              key={order}
+              onClick={() => setDerivationOrder(order)}
+              className={`px-3 py-1 rounded-lg border-2 ${
+                derivationOrder === order
+                  ? "border-blue-500 bg-blue-50 text-blue-900"
+                  : "border-gray-300 hover:bg-gray-100 text-gray-700"
+              }`}
+            >
+              {order === "leftmost" ? "Leftmost" : "Rightmost"}
+            </button>
+          ))}
+        </div>
+        <ol className="mt-2 space-y-1 text-sm font-mono">
+          {steps.map((step, idx) => (
+            <li key={idx} className="flex flex-wrap items-baseline gap-x-2">
+              <span className="w-8 text-right text-gray-500">{idx + 1}.</span>
+              <span className="w-4 text-gray-500">{idx === 0 ? "" : "⇒"}</span>
+              <span className="inline-flex flex-wrap gap-x-1.5">
+                {step.symbols.map((sym, i) => (
+                  <span
+                    key={i}
+                    className={i === step.expanded ? "px-1 rounded bg-yellow-200 text-gray-900 font-semibold" : ""}
+                  >
+                    {sym}
+                  </span>
+                ))}
+              </span>
+              {step.rule && <span className="text-xs text-gray-500">by {step.rule}</span>}
+            </li>
+          ))}
+        </ol>
+      </details>
+    );
+  };
+
+  const renderAlgorithmPicker = () => (
+    <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+      <span className="text-gray-700">Algorithm:</span>
+      {[
+        ["cyk", "CYK"],
+        ["earley", "Earley"],
+        ["both", "Both"],
+      ].map(([value, label]) => (
+        <button
+          key={value}
+          onClick={() => setAlgorithm(value)}
+          className={`px-3 py-1 rounded-lg border-2 ${
+            algorithm === value
+              ? "border-blue-500 bg-blue-50 text-blue-900"
+              : "border-gray-300 hover:bg-gray-100 text-gray-700"
+          }`}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+
+  // Earley chart (one column per input position) and its parse tree, for the grammar as written
+  const renderEarley = () => {
+    if (!result || !result.earley) return null;
+    const { chart, tokens, tree, accepted, startSymbol } = result.earley;
+    const isFinal = (item, k) =>
+      k === tokens.length && item.origin === 0 && item.dot === item.rhs.length && item.lhs === startSymbol;
+    return (
+      <div className="mt-6 space-y-6">
+        <div className="p-4 bg-gray-50 rounded-lg border">
+          <h4 className="font-semibold text-gray-800 mb-1">Earley Chart</h4>
+          <p className="text-sm text-gray-600 mb-3">
+            Parsed with the grammar as written (no CNF conversion):{" "}
+            {accepted ? "a completed start item spans the whole input" : "no completed start item spans the whole input"}.
+            Each column lists the items of one position with their origin and the step that added them.
+          </p>
+          <div className="flex gap-3 overflow-x-auto pb-2">
+            {chart.map((items, k) => (
+              <div key={k} className="flex-none min-w-56 bg-white rounded border">
+                <div className="px-3 py-2 border-b bg-gray-100 text-sm font-semibold text-gray-800">
+                  S({k}){k > 0 && <span className="ml-2 font-normal text-gray-600">after '{tokens[k - 1]}'</span>}
+                </div>
+                <ul className="p-2 space-y-1 text-xs">
+                  {items.map((item, idx) => (
+                    <li
+                      key={idx}
+                      className={`flex items-center gap-2 px-1 rounded ${isFinal(item, k) ? "bg-green-100" : ""}`}
+                    >
+                      <span className="font-mono flex-1 whitespace-nowrap">{formatEarleyItem(item)}</span>
+                      <span className="text-gray-500">[{item.origin}]</span>
+                      <span className={`px-1 rounded ${EARLEY_OP_STYLES[item.op]}`}>{item.op}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        </div>
+        {tree && (
+          <div className="p-4 bg-gray-50 rounded-lg border">
+            <h4 className="font-semibold text-gray-800 mb-3">Earley Parse Tree</h4>
+            <div className="parse-tree-container h-[420px] w-full bg-white rounded border">
+              <Tree
+                data={toD3Tree(tree)}
+                orientation="vertical"
+                translate={{ x: 300, y: 40 }}
+                pathFunc="elbow"
+                collapsible={false}
+                zoom={0.8}
+                styles={{
+                  links: { stroke: '#94a3b8' },
+                  nodes: {
+                    node: { circle: { fill: '#2563eb' }, name: { fill: '#111827', fontSize: '12px' } },
+                    leafNode: { circle: { fill: '#10b981' }, name: { fill: '#111827', fontSize: '12px' } }
+                  }
+                }}
+              />
+            </div>
+            {renderTreeExport(tree, "earley-tree")}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderTreePager = () => {
+    if (!result || !result.trees || !result.trees.length) return null;
+    const shown = result.trees.length;
+    const index = Math.min(treeIndex, shown - 1);
+    const buttonClass =
+      "p-1 rounded border-2 border-gray-300 hover:bg-gray-100 text-gray-700 disabled:opacity-40 disabled:cursor-not-allowed";
+    return (
+      <div className="mb-3 space-y-2">
+        {result.treeCount > 1 && (
+          <div className="px-3 py-2 rounded bg-amber-50 border-2 border-amber-300 text-amber-900 text-sm font-semibold">
+            Ambiguous input: {result.treeCount.toLocaleString()} distinct parse trees
+            {result.treeCount > shown ? ` (showing the first ${shown})` : ""}
+          </div>
+        )}
+        <div className="flex flex-wrap items-center gap-3 text-sm text-gray-700">
+          <button
+            onClick={() => setTreeIndex(Math.max(0, index - 1))}
+            disabled={index === 0}
+            className={buttonClass}
+            aria-label="Previous parse tree"
+            title="Previous parse tree"
+          >
+            <StepBack className="w-4 h-4" />
+          </button>
+          <span>
+            Tree {index + 1} of {shown}
+          </span>
+          <button
+            onClick={() => setTreeIndex(Math.min(shown - 1, index + 1))}
+            disabled={index >= shown - 1}
+            className={buttonClass}
+            aria-label="Next parse tree"
+            title="Next parse tree"
+          >
+            <StepForward className="w-4 h-4" />
+          </button>
+          <label className="ml-auto">
+            Max trees{" "}
+            <input
+              type="number"
+              min={1}
+              max={10000}
+              value={treeLimit}
+              onChange={(e) => {
+                const limit = Math.max(1, Math.min(10000, Number(e.target.value) || 1));
+                setTreeLimit(limit);
+                setTreeIndex(0);
+                setResult(withParseTrees(result, limit));
+              }}
+              className="ml-1 w-20 px-2 py-1 border-2 border-gray-300 rounded"
+            />
+          </label>
+        </div>
+      </div>
+    );
+  };
+
+  const renderPlaybackControls = () => {
+    if (!result || !result.fillSteps || !result.fillSteps.length) return null;
+    const last = result.fillSteps.length - 1;
+    const current = playStep === null ? last : playStep;
+    const buttonClass =
+      "p-2 rounded-lg border-2 border-gray-300 hover:bg-gray-50 text-gray-700 disabled:opacity-40 disabled:cursor-not-allowed";
+    return (
+      <div className="mt-6 flex flex-wrap items-center gap-3">
+        <button
+          onClick={() => {
+            setPlaying(false);
+            setPlayStep(0);
+          }}
+          disabled={current === 0}
+          className={buttonClass}
+          aria-label="First step"
+          title="First step"
+        >
+          <SkipBack className="w-5 h-5" />
+        </button>
+        <button
+          onClick={() => {
+            setPlaying(false);
+            setPlayStep(Math.max(0, current - 1));
+          }}
+          disabled={current === 0}
+          className={buttonClass}
+          aria-label="Step back"
+          title="Step back"
+        >
+          <StepBack className="w-5 h-5" />
+        </button>
+        <button
+          onClick={() => {
+            if (playing) {
+              setPlaying(false);
+              return;
+            }
+            if (playStep === null || playStep >= last) setPlayStep(0);
+            setPlaying(true);
+          }}
+          className={buttonClass}
+          aria-label={playing ? "Pause" : "Play"}
+          title={playing ? "Pause" : "Play"}
+        >
+          {playing ? <Pause className="w-5 h-5" /> : <Play className="w-5 h-5" />}
+        </button>
+        <button
+          onClick={() => {
+            setPlaying(false);
+            setPlayStep(Math.min(last, current + 1));
+          }}
+          disabled={playStep === null || current === last}
+          className={buttonClass}
+          aria-label="Step forward"
+          title="Step forward"
+        >
+          <StepForward className="w-5 h-5" />
+        </button>
+        <button
+          onClick={() => {
+            setPlaying(false);
+            setPlayStep(null);
+          }}
+          disabled={playStep === null}
+          className={buttonClass}
+          aria-label="Show finished table"
+          title="Show finished table"
+        >
+          <SkipForward className="w-5 h-5" />
+        </button>
+        <label className="text-sm text-gray-700 ml-2">
+          Speed{" "}
+          <select
+            value={playSpeed}
+            onChange={(e) => setPlaySpeed(Number(e.target.value))}
+            className="ml-1 px-2 py-1 border-2 border-gray-300 rounded-lg"
+          >
+            <option value={1200}>Slow</option>
+            <option value={600}>Normal</option>
+            <option value={250}>Fast</option>
+            <option value={80}>Very fast</option>
+          </select>
+        </label>
+        <span className="text-sm text-gray-600">
+          Step {current + 1} / {last + 1}
+        </span>
+      </div>
+    );
+  };
+
+  const renderDiagnostics = (text, lexical = []) => {
+    const issues = diagnoseGrammarText(text, lexical);
+    const styles = {
+      error: "text-red-700",
+      warning: "text-amber-700",
+      info: "text-blue-700",
+    };
+    return (
+      <div className="mt-2 p-3 bg-gray-50 rounded-lg border text-sm">
+        <div className="font-semibold text-gray-800 mb-1">Diagnostics</div>
+        {issues.length === 0 ? (
+          <div className="text-green-700">No problems found; the grammar is in CNF.</div>
+        ) : (
+          <ul className="space-y-1 max-h-48 overflow-y-auto">
+            {issues.map((issue, idx) => (
+              <li key={idx} className={styles[issue.severity]}>
+                <span className="font-mono">{issue.line ? `Line ${issue.line}` : "Grammar"}:</span>{" "}
+                {issue.message}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    );
+  };
+
+  // Simulator and PGC parses run as cancellable jobs (in a worker, see lib/engine.js). Starting
+  // one cancels the job still running, and only the latest job may set the result.
+  const cancelParse = () => {
+    if (currentParseJob.current) currentParseJob.current.cancel();
+  };
+
+  const startParse = (grammarText, tokens, options) => {
+    cancelParse();
+    setParsing(true);
+    setParseProgress(null);
+    setParseError(null);
+    const job = startParseJob(grammarText, tokens, options, (length, n) => {
+      if (currentParseJob.current === job) setParseProgress({ length, n });
+    });
+    currentParseJob.current = job;
+    setParseJob(job);
+    job.promise
+      .then((r) => {
+        if (!r || currentParseJob.current !== job) return;
+        setResult(r);
+        setTreeIndex(0);
+        setPlaying(false);
+        setPlayStep(null);
+      })
+      .catch((err) => {
+        if (currentParseJob.current !== job) return;
+        setResult(null);
+        setParseError(err.message);
+      })
+      .finally(() => {
+        if (currentParseJob.current !== job) return;
+        currentParseJob.current = null;
+        setParsing(false);
+        setParseJob(null);
+        setParseProgress(null);
+      });
+  };
+
+  // Every way of starting a parse (buttons, generated sentences, repairs) comes through
+  // runSimulator or runPgc, which refuse to tokenize with an invalid custom pattern
+  const tokenizerBlocked = (settings) => {
+    const patternError = tokenizerPatternError(settings);
+    if (patternError) setParseError(`The tokenizer pattern is invalid: ${patternError}`);
+    return Boolean(patternError);
+  };
+
+  const runSimulator = (word = simWord) => {
+    if (tokenizerBlocked(tokenizer.Simulator)) return;
+    startParse(simGrammarText, tokensFor(simGrammarText, word, tokenizer.Simulator), { treeLimit });
+  };
+
+  const runPgc = (sentence = pgcSentence) => {
+    if (tokenizerBlocked(tokenizer.PGC)) return;
+    startParse(pgcGrammarText, tokensFor(pgcGrammarText, sentence, tokenizer.PGC, pgcLexicon), {
+      treeLimit,
+      lexicon: pgcLexicon,
+      recovery: true,
+    });
+  };
+
+  const parseButtonLabel = (idle) => {
+    if (!parsing) return idle;
+    if (!parseJob) return "Generating...";
+    const progress = parseProgress ? ` ${parseProgress.length}/${parseProgress.n}` : "";
+    return `Generating...${progress} (click to cancel)`;
+  };
+
+  const copyShareLink = async () => {
+    const url = window.location.href;
+    try {
+      if (!navigator.clipboard) throw new Error("the clipboard is not available on this page");
+      await navigator.clipboard.writeText(url);
+    } catch (err) {
+      setLinkCopyError({ message: err.message.replace(/\.$/, ""), url });
+      return;
+    }
+    setLinkCopyError(null);
+    setLinkCopied(true);
+    setTimeout(() => setLinkCopied(false), 1500);
+  };
+
+  const setGrammarTextFor = (tab, text) =>
+    tab === "PGC" ? setPgcGrammarText(text) : setSimGrammarText(text);
+
+  // Shared by the file picker and drag-and-drop onto the grammar textarea
+  const importGrammarFile = async (tab, file) => {
+    if (!file) return;
+    const content = await file.text();
+    const format =
+      grammarFormat[tab] === "auto" ? detectGrammarFormat(content, file.name) : grammarFormat[tab];
+    try {
+      const grammar = importGrammar(content, format);
+      setGrammarTextFor(tab, format === "text" ? content : formatGrammarText(grammar));
+      setGrammarIoError({ ...grammarIoError, [tab]: null });
+    } catch (err) {
+      setGrammarIoError({
+        ...grammarIoError,
+        [tab]: `Could not import ${file.name} as ${GRAMMAR_FORMATS[format].label}: ${err.message}`,
+      });
+    }
+  };
+
+  const downloadBlob = (fileName, blob) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const downloadText = (fileName, text, mime) => downloadBlob(fileName, new Blob([text], { type: mime }));
+
+  // Rasterize the SVG drawing at twice its size so the PNG stays sharp on slides
+  const downloadTreePng = (fileName, svg) => {
+    const url = URL.createObjectURL(new Blob([svg], { type: "image/svg+xml" }));
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = image.width * 2;
+      canvas.height = image.height * 2;
+      const ctx = canvas.getContext("2d");
+      ctx.scale(2, 2);
+      ctx.drawImage(image, 0, 0);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => {
+        if (blob) downloadBlob(fileName, blob);
+      }, "image/png");
+    };
+    image.src = url;
+  };
+
+  const exportGrammarFile = (tab) => {
+    const format = grammarFormat[tab] === "auto" ? "text" : grammarFormat[tab];
+    const text = tab === "PGC" ? pgcGrammarText : simGrammarText;
+    const { extension, mime, label } = GRAMMAR_FORMATS[format];
+    try {
+      downloadText(`grammar.${extension}`, exportGrammar(parseGrammarFromText(text), format), mime);
+      setGrammarIoError({ ...grammarIoError, [tab]: null });
+    } catch (err) {
+      setGrammarIoError({ ...grammarIoError, [tab]: `Could not export as ${label}: ${err.message}` });
+    }
+  };
+
+  const grammarDropProps = (tab) => ({
+    onDragOver: (e) => e.preventDefault(),
+    onDrop: (e) => {
+      const file = e.dataTransfer.files && e.dataTransfer.files[0];
+      if (!file) return;
+      e.preventDefault();
+      importGrammarFile(tab, file);
+    },
+  });
+
+  const renderGrammarIo = (tab) => (
+    <div className="mb-2">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <select
+          value={grammarFormat[tab]}
+          onChange={(e) => setGrammarFormat({ ...grammarFormat, [tab]: e.target.value })}
+          aria-label="Grammar file format"
+          className="px-2 py-1 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-blue-500"
+        >
+          <option value="auto">Auto-detect</option>
+          {Object.keys(GRAMMAR_FORMATS).map((f) => (
+            <option key={f} value={f}>
+              {GRAMMAR_FORMATS[f].label}
+            </option>
+          ))}
+        </select>
+        <label className="inline-flex items-center px-3 py-1 border-2 border-gray-300 rounded-lg hover:bg-gray-100 text-gray-700 cursor-pointer">
+          <Upload className="w-4 h-4 mr-1" />
+          Import
+          <input
+            type="file"
+            accept=".txt,.json,.bnf,.ebnf,.cfg,text/plain,application/json"
+            className="hidden"
+            onChange={(e) => {
+              importGrammarFile(tab, e.target.files && e.target.files[0]);
+              e.target.value = "";
+            }}
+          />
+        </label>
+        <button
+          onClick={() => exportGrammarFile(tab)}
+          className="inline-flex items-center px-3 py-1 border-2 border-gray-300 rounded-lg hover:bg-gray-100 text-gray-700"
+        >
+          <FileDown className="w-4 h-4 mr-1" />
+          Export
+        </button>
+        <button
+          onClick={copyShareLink}
+          title="Copy a link that reopens this tab with the current grammar and input"
+          className="inline-flex items-center px-3 py-1 border-2 border-gray-300 rounded-lg hover:bg-gray-100 text-gray-700"
+        >
+          <Link className="w-4 h-4 mr-1" />
+          {linkCopied ? "Copied!" : "Copy link"}
+        </button>
+        <span className="text-xs text-gray-500">or drop a grammar file on the textarea</span>
+      </div>
+      {grammarIoError[tab] && (
+        <div className="mt-1 text-sm text-red-700">{grammarIoError[tab]}</div>
+      )}
+      {linkCopyError && (
+        <div className="mt-1 text-sm text-red-700">
+          Could not copy the link ({linkCopyError.message}). Copy it from here instead:
+          <input
+            type="text"
+            readOnly
+            value={linkCopyError.url}
+            onFocus={(e) => e.target.select()}
+            aria-label="Share link"
+            className="mt-1 w-full px-2 py-1 border-2 border-gray-300 rounded font-mono text-xs text-gray-700"
+          />
+        </div>
+      )}
+    </div>
+  );
+
+  const saveToLibrary = (tab) => {
+    setLibrary(
+      saveEntry(library, {
+        tab,
+        name: libraryDraft.name,
+        notes: libraryDraft.notes,
+        grammar: tab === "PGC" ? pgcGrammarText : simGrammarText,
+        input: tab === "PGC" ? pgcSentence : simWord,
+        samples: batchText[tab],
+      })
+    );
+  };
+
+  const openLibraryEntry = (entry) => {
+    setGrammarTextFor(entry.tab, entry.grammar);
+    if (entry.tab === "PGC") setPgcSentence(entry.input);
+    else setSimWord(entry.input);
+    if (entry.samples) setBatchText({ ...batchText, [entry.tab]: entry.samples });
+    setLibraryDraft({ name: entry.name, notes: entry.notes });
+  };
+
+  const renderLibrary = (tab) => {
+    const entries = library.filter((e) => e.tab === tab);
+    return (
+      <aside className="w-full lg:w-72 shrink-0 bg-white rounded-2xl shadow-xl p-4 border-2 border-gray-200">
+        <h3 className="flex items-center text-lg font-serif text-gray-800 mb-3">
+          <Library className="w-5 h-5 mr-2" />
+          Grammar Library
+        </h3>
+        <input
+          type="text"
+          value={libraryDraft.name}
+          onChange={(e) => setLibraryDraft({ ...libraryDraft, name: e.target.value })}
+          placeholder="Name"
+          aria-label="Library entry name"
+          className="w-full px-3 py-2 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-blue-500 text-sm"
+        />
+        <textarea
+          rows={2}
+          value={libraryDraft.notes}
+          onChange={(e) => setLibraryDraft({ ...libraryDraft, notes: e.target.value })}
+          placeholder="Notes (optional)"
+          aria-label="Library entry notes"
+          className="mt-2 w-full px-3 py-2 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-blue-500 text-sm"
+        />
+        <button
+          onClick={() => saveToLibrary(tab)}
+          className="mt-2 w-full px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm font-semibold shadow-md"
+        >
+          Save current grammar
+        </button>
+        <p className="mt-1 text-xs text-gray-500">
+          Saves the grammar, input and batch samples. An existing name is overwritten.
+        </p>
+        {entries.length === 0 ? (
+          <p className="mt-4 text-sm text-gray-500">No saved {tab} grammars yet.</p>
+        ) : (
+          <ul className="mt-4 space-y-2 max-h-96 overflow-y-auto">
+            {entries.map((entry) => (
+              <li key={entry.id} className="p-2 rounded-lg border bg-gray-50">
+                {renaming && renaming.id === entry.id ? (
+                  <div className="flex items-center gap-1">
+                    <input
+                      type="text"
+                      value={renaming.name}
+                      onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                      aria-label="New name"
+                      className="flex-1 min-w-0 px-2 py-1 border-2 border-gray-300 rounded focus:outline-none focus:border-blue-500 text-sm"
+                    />
+                    <button
+                      onClick={() => {
+                        setLibrary(renameEntry(library, entry.id, renaming.name));
+                        setRenaming(null);
+                      }}
+                      aria-label="Confirm rename"
+                      className="p-1 text-green-700 hover:bg-gray-200 rounded"
+                    >
+                      <Check className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => setRenaming(null)}
+                      aria-label="Cancel rename"
+                      className="p-1 text-gray-600 hover:bg-gray-200 rounded"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </div>
+                ) : (
+                  <div className="flex items-center gap-1">
+                    <button
+                      onClick={() => openLibraryEntry(entry)}
+                      title="Open in the editor"
+                      className="flex-1 min-w-0 text-left text-sm font-semibold text-blue-700 hover:underline truncate"
+                    >
+                      {entry.name}
+                    </button>
+                    <button
+                      onClick={() => setRenaming({ id: entry.id, name: entry.name })}
+                      aria-label={`Rename ${entry.name}`}
+                      className="p-1 text-gray-600 hover:bg-gray-200 rounded"
+                    >
+                      <Pencil className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => setLibrary(duplicateEntry(library, entry.id))}
+                      aria-label={`Duplicate ${entry.name}`}
+                      className="p-1 text-gray-600 hover:bg-gray-200 rounded"
+                    >
+                      <Copy className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => {
+                        if (window.confirm(`Delete "${entry.name}" from the library?`)) {
+                          setLibrary(deleteEntry(library, entry.id));
+                        }
+                      }}
+                      aria-label={`Delete ${entry.name}`}
+                      className="p-1 text-red-600 hover:bg-gray-200 rounded"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                )}
+                {entry.notes && <p className="mt-1 text-xs text-gray-600 whitespace-pre-wrap">{entry.notes}</p>}
+              </li>
+            ))}
+          </ul>
+        )}
+        <div className="mt-4 flex flex-wrap gap-2 text-sm">
+          <button
+            onClick={() => downloadText("grammar-library.json", exportLibrary(library), "application/json")}
+            disabled={!library.length}
+            className="inline-flex items-center px-3 py-1 border-2 border-gray-300 rounded-lg hover:bg-gray-100 text-gray-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <FileDown className="w-4 h-4 mr-1" />
+            Export all
+          </button>
+          <label className="inline-flex items-center px-3 py-1 border-2 border-gray-300 rounded-lg hover:bg-gray-100 text-gray-700 cursor-pointer">
+            <Upload className="w-4 h-4 mr-1" />
+            Import
+            <input
+              type="file"
+              accept=".json,application/json"
+              className="hidden"
+              onChange={async (e) => {
+                const file = e.target.files && e.target.files[0];
+                e.target.value = "";
+                if (!file) return;
+                try {
+                  setLibrary(importLibrary(await file.text(), library));
+                  setLibraryError(null);
+                } catch (err) {
+                  setLibraryError(`Could not import ${file.name}: ${err.message}`);
+                }
+              }}
+            />
+          </label>
+        </div>
+        {libraryError && <div className="mt-2 text-sm text-red-700">{libraryError}</div>}
+      </aside>
+    );
+  };
+
+  // Tokenizer settings with a live preview of the tokens CYK will receive
+  const renderTokenizer = (tab) => {
+    const settings = tokenizer[tab];
+    const update = (changes) => setTokenizer({ ...tokenizer, [tab]: { ...settings, ...changes } });
+    const grammarText = tab === "PGC" ? pgcGrammarText : simGrammarText;
+    const input = tab === "PGC" ? pgcSentence : simWord;
+    const patternError = tokenizerPatternError(settings);
+    const lexicon = tab === "PGC" ? pgcLexicon : null;
+    const tokens = patternError ? [] : tokensFor(grammarText, input, settings, lexicon);
+    return (
+      <div className="mt-3">
+        <div className="text-xs text-gray-600 mb-1">Tokens fed to CYK ({tokens.length}):</div>
+        <div className="flex flex-wrap gap-1">
+          {tokens.map((token, idx) => (
+            <span key={idx} className="px-2 py-0.5 bg-blue-50 border border-blue-200 rounded font-mono text-sm">
+              {token}
+            </span>
+          ))}
+        </div>
+        <details className="mt-2 text-sm">
+          <summary className="cursor-pointer text-gray-700">Tokenizer settings</summary>
+          <div className="mt-2 space-y-2">
+            <label className="block">
+              Split
+              <select
+                value={settings.mode}
+                onChange={(e) => update({ mode: e.target.value })}
+                className="ml-2 px-2 py-1 border-2 border-gray-300 rounded"
+              >
+                <option value="words">On whitespace</option>
+                <option value="chars">Per character</option>
+                <option value="auto">Per character unless spaced</option>
+                <option value="regex">Custom regex</option>
+              </select>
+            </label>
+            {settings.mode === "regex" && (
+              <input
+                type="text"
+                value={settings.pattern}
+                onChange={(e) => update({ pattern: e.target.value })}
+                placeholder={"e.g. \\w+|[^\\w\\s]"}
+                aria-label="Token pattern"
+                className="w-full px-2 py-1 border-2 border-gray-300 rounded font-mono"
+              />
+            )}
+            {patternError && <div className="text-red-700">{patternError}</div>}
+            <label className="block">
+              Punctuation
+              <select
+                value={settings.punctuation}
+                onChange={(e) => update({ punctuation: e.target.value })}
+                className="ml-2 px-2 py-1 border-2 border-gray-300 rounded"
+              >
+                <option value="keep">Keep attached</option>
+                <option value="split">Separate tokens</option>
+                <option value="drop">Drop</option>
+              </select>
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={settings.caseFold}
+                onChange={(e) => update({ caseFold: e.target.checked })}
+              />
+              Ignore case
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={settings.multiWord}
+                onChange={(e) => update({ multiWord: e.target.checked })}
+              />
+              Match multi-word terminals (longest first)
+            </label>
+          </div>
+        </details>
+      </div>
+    );
+  };
+
+  const renderLexicon = () => {
+    const words = pgcLexicon ? pgcLexicon.words : new Map();
+    return (
+      <details className="mt-2 p-3 bg-gray-50 rounded-lg border text-sm">
+        <summary className="cursor-pointer font-semibold text-gray-800">
+          Lexicon ({words.size} {words.size === 1 ? "word" : "words"})
+        </summary>
+        <p className="mt-2 text-xs text-gray-500">
+          One word per line followed by its preterminals, tab- or comma-separated (e.g. "saw, N, V"),
+          or JSON like {'{"saw": ["N", "V"]}'}. Lexicon words need no rules in the grammar. With a
+          probabilistic grammar, each lexicon rule counts as probability 1 and every category that
+          gains rules is renormalized to sum to 1, so its words share its probability evenly.
+        </p>
+        <textarea
+          rows={5}
+          value={lexiconText}
+          onChange={(e) => setLexiconText(e.target.value)}
+          placeholder={"cat\tN\ndog\tN\nsaw\tN|V"}
+          aria-label="Lexicon"
+          className="mt-2 w-full px-3 py-2 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-blue-500 font-mono text-sm"
+        />
+        <div className="mt-2 flex flex-wrap items-center gap-3">
+          <label className="inline-flex items-center px-3 py-1 border-2 border-gray-300 rounded-lg hover:bg-gray-100 text-gray-700 cursor-pointer">
+            <Upload className="w-4 h-4 mr-1" />
+            Import lexicon
+            <input
+              type="file"
+              accept=".tsv,.csv,.json,.txt,text/plain,application/json"
+              className="hidden"
+              onChange={async (e) => {
+                const file = e.target.files && e.target.files[0];
+                e.target.value = "";
+                if (file) setLexiconText(await file.text());
+              }}
+            />
+          </label>
+          <label className="inline-flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={lexiconWildcard}
+              onChange={(e) => setLexiconWildcard(e.target.checked)}
+            />
+            Unknown words match any preterminal
+          </label>
+        </div>
+        {lexiconError ? (
+          <div className="mt-2 text-red-700">{lexiconError}</div>
+        ) : (
+          words.size > 0 && (
+            <div className="mt-2 text-gray-600">
+              Categories: {lexicalCategories(words).join(", ")}
+            </div>
+          )
+        )}
+      </details>
+    );
+  };
+
+  // The tab's grammar as an object; PGC includes every lexicon word as a lexical rule
+  const grammarForTab = (tab) => {
+    const grammar = parseGrammarFromText(tab === "PGC" ? pgcGrammarText : simGrammarText);
+    if (tab !== "PGC" || !pgcLexicon) return grammar;
+    const words = pgcLexicon.words;
+    return applyLexicon(grammar, Array.from(words.keys()), { words, wildcard: false }).grammar;
+  };
+
+  // Simulator strings of single characters read best without spaces
+  const joinTokens = (tab, tokens) =>
+    tab === "Simulator" && tokens.every((t) => t.length === 1) ? tokens.join("") : tokens.join(" ");
+
+  const loadGenerated = (tab, tokens) => {
+    const text = joinTokens(tab, tokens);
+    if (tab === "PGC") {
+      setPgcSentence(text);
+      runPgc(text);
+    } else {
+      setSimWord(text);
+      runSimulator(text);
+    }
+  };
+
+  // Runs as a cancellable job like a parse (see lib/engine.js)
+  const runBenchmarkFor = (tab) => {
+    const lengths = [];
+    for (let n = benchOptions.step; n <= benchOptions.maxLength; n += benchOptions.step) lengths.push(n);
+    setBenchProgress(null);
+    setBenchError(null);
+    const job = startBenchmarkJob(grammarForTab(tab), { lengths, repeats: benchOptions.repeats }, (done, total) =>
+      setBenchProgress({ done, total })
+    );
+    setBenchJob(job);
+    job.promise
+      .then((points) => {
+        if (points) setBenchmarks((current) => ({ ...current, [tab]: points }));
+      })
+      .catch((err) => setBenchError(err.message))
+      .finally(() => {
+        setBenchJob(null);
+        setBenchProgress(null);
+      });
+  };
+
+  // Scatter plot of one measurement against n with its fitted cubic drawn as a curve
+  const renderBenchmarkPlot = (points, key, label, format) => {
+    const fit = fitCubic(points, key);
+    const width = 360;
+    const height = 200;
+    const pad = { left: 56, right: 12, top: 12, bottom: 32 };
+    const maxN = Math.max(...points.map((p) => p.n));
+    const curve = fit
+      ? Array.from({ length: 41 }, (_, i) => {
+          const n = (maxN * i) / 40;
+          return { n, y: Math.max(0, fit.predict(n)) };
+        })
+      : [];
+    const maxY = Math.max(...points.map((p) => p[key]), ...curve.map((c) => c.y)) || 1;
+    const x = (n) => pad.left + (n / maxN) * (width - pad.left - pad.right);
+    const y = (v) => height - pad.bottom - (v / maxY) * (height - pad.top - pad.bottom);
+    return (
+      <div className="bg-white rounded border p-2">
+        <div className="text-sm font-semibold text-gray-800">{label}</div>
+        <svg width={width} height={height} className="max-w-full">
+          <line x1={pad.left} y1={y(0)} x2={width - pad.right} y2={y(0)} stroke="#9ca3af" />
+          <line x1={pad.left} y1={pad.top} x2={pad.left} y2={y(0)} stroke="#9ca3af" />
+          <text x={pad.left - 4} y={pad.top + 8} textAnchor="end" fontSize="10" fill="#4b5563">
+            {format(maxY)}
+          </text>
+          <text x={pad.left - 4} y={y(0)} textAnchor="end" fontSize="10" fill="#4b5563">
+            0
+          </text>
+          {points.map((p) => (
+            <text key={p.n} x={x(p.n)} y={height - pad.bottom + 14} textAnchor="middle" fontSize="10" fill="#4b5563">
+              {p.n}
+            </text>
+          ))}
+          <text x={(pad.left + width - pad.right) / 2} y={height - 4} textAnchor="middle" fontSize="10" fill="#4b5563">
+            input length n
+          </text>
+          {curve.length > 0 && (
+            <polyline
+              points={curve.map((c) => `${x(c.n)},${y(c.y)}`).join(" ")}
+              fill="none"
+              stroke="#f59e0b"
+              strokeWidth="2"
+            />
+          )}
+          {points.map((p) => (
+            <circle key={p.n} cx={x(p.n)} cy={y(p[key])} r="4" fill={p.derived ? "#2563eb" : "#9ca3af"}>
+              <title>{`n = ${p.n}: ${format(p[key])}`}</title>
+            </circle>
+          ))}
+        </svg>
+        {fit && (
+          <div className="text-xs text-gray-600">
+            Cubic fit: {formatCubic(fit.coefficients)} (R² = {fit.r2.toFixed(3)})
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderBenchmark = (tab) => {
+    const points = benchmarks[tab];
+    const numberInput = (key, label, min, max) => (
+      <label className="inline-flex items-center gap-1">
+        {label}
+        <input
+          type="number"
+          min={min}
+          max={max}
+          value={benchOptions[key]}
+          onChange={(e) =>
+            setBenchOptions({
+              ...benchOptions,
+              [key]: Math.max(min, Math.min(max, Number(e.target.value) || min)),
+            })
+          }
+          className="w-16 px-2 py-1 border-2 border-gray-300 rounded"
+        />
+      </label>
+    );
+    return (
+      <details className="mt-6 p-4 bg-gray-50 rounded-lg border">
+        <summary className="cursor-pointer font-semibold text-gray-800">Benchmark</summary>
+        <p className="mt-2 text-xs text-gray-500">
+          Runs CYK on inputs of increasing length for this grammar and plots time and work against n with a
+          fitted cubic, to see the O(n³·|G|) bound in practice. Inputs are random sentences of the grammar where
+          it has one of that length (blue), otherwise random strings of its terminals (gray). It runs in the
+          background; click the button again to cancel.
+        </p>
+        <div className="mt-3 flex flex-wrap items-center gap-3 text-sm">
+          {numberInput("maxLength", "Up to n =", 4, 200)}
+          {numberInput("step", "Step", 1, 50)}
+          {numberInput("repeats", "Runs per length", 1, 20)}
+          <button
+            onClick={() => (benchJob ? benchJob.cancel() : runBenchmarkFor(tab))}
+            disabled={!benchJob && parsing}
+            title={benchJob ? "Cancel the benchmark" : undefined}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm font-semibold shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {benchJob
+              ? `Running...${benchProgress ? ` ${benchProgress.done}/${benchProgress.total}` : ""} (click to cancel)`
+              : "Run Benchmark"}
+          </button>
+        </div>
+        {benchError && <p className="mt-2 text-sm text-red-700">The benchmark failed: {benchError}</p>}
+        {points && points.length > 0 && (
+          <div className="mt-4 space-y-3">
+            <div className="flex flex-wrap gap-4">
+              {renderBenchmarkPlot(points, "ms", "Time (fastest run, ms)", (v) => v.toFixed(2))}
+              {renderBenchmarkPlot(points, benchCounter, BENCHMARK_COUNTERS[benchCounter], (v) =>
+                Math.round(v).toLocaleString()
+              )}
+            </div>
+            <label className="inline-flex items-center gap-1 text-sm text-gray-700">
+              Operation count
+              <select
+                value={benchCounter}
+                onChange={(e) => setBenchCounter(e.target.value)}
+                className="ml-1 px-2 py-1 border-2 border-gray-300 rounded-lg"
+              >
+                {Object.keys(BENCHMARK_COUNTERS).map((key) => (
+                  <option key={key} value={key}>
+                    {BENCHMARK_COUNTERS[key]}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <div className="overflow-x-auto">
+              <table className="text-sm border-collapse">
+                <thead>
+                  <tr className="bg-gray-100 text-gray-700">
+                    {["n", "Input", "Accepted", "ms", ...Object.values(BENCHMARK_COUNTERS)].map((h) => (
+                      <th key={h} className="px-3 py-1 border text-left">
+                        {h}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {points.map((p) => (
+                    <tr key={p.n} className="bg-white">
+                      <td className="px-3 py-1 border">{p.n}</td>
+                      <td className="px-3 py-1 border">{p.derived ? "sentence" : "random"}</td>
+                      <td className="px-3 py-1 border">{p.accepted ? "yes" : "no"}</td>
+                      <td className="px-3 py-1 border">{p.ms.toFixed(2)}</td>
+                      {Object.keys(BENCHMARK_COUNTERS).map((key) => (
+                        <td key={key} className="px-3 py-1 border">
+                          {p[key].toLocaleString()}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </details>
+    );
+  };
+
+  const newExercise = () => {
+    const grammarText =
+      exerciseSource === "current" || exerciseSource === "input"
+        ? simGrammarText
+        : EXERCISE_GRAMMARS[Number(exerciseSource)].text;
+    const patternError = exerciseSource === "input" ? tokenizerPatternError(tokenizer.Simulator) : null;
+    if (patternError) {
+      setExerciseError(`The tokenizer pattern is invalid: ${patternError}`);
+      return;
+    }
+    const word =
+      exerciseSource === "input"
+        ? { tokens: tokensFor(simGrammarText, simWord, tokenizer.Simulator) }
+        : generateExerciseWord(grammarText);
+    if (!word || !word.tokens.length) {
+      setExerciseError("Could not find a word for this grammar; try another grammar or enter a word.");
+      return;
+    }
+    const r = runCyk(grammarText, word.tokens);
+    setExerciseError("");
+    setExercise({
+      grammarText,
+      tokens: word.tokens,
+      r,
+      answers: r.table.map((row) => row.map(() => "")),
+      accepted: null,
+      grade: null,
+    });
+  };
+
+  const renderExercise = () => {
+    const ex = exercise;
+    const update = (changes) => setExercise({ ...ex, ...changes, grade: null });
+    const setAnswer = (i, j, value) =>
+      update({ answers: ex.answers.map((row, ri) => row.map((v, ci) => (ri === i && ci === j ? value : v))) });
+    const n = ex ? ex.tokens.length : 0;
+    const buttonClass =
+      "px-4 py-2 rounded-lg border-2 border-gray-300 hover:bg-gray-100 text-gray-700 text-sm font-semibold";
+    return (
+      <details className="mt-6 p-4 bg-gray-50 rounded-lg border">
+        <summary className="cursor-pointer font-semibold text-gray-800">Exercise: Fill In the Table</summary>
+        <p className="mt-2 text-xs text-gray-500">
+          Type the nonterminals of each cell (e.g. <span className="font-mono">A, S</span>; leave empty or type - for none),
+          decide whether the word is accepted, then check your answers. Cell [i][j] covers tokens i..j.
+        </p>
+        <div className="mt-3 flex flex-wrap items-center gap-3 text-sm">
+          <select
+            value={exerciseSource}
+            onChange={(e) => setExerciseSource(e.target.value)}
+            className="px-2 py-1 border-2 border-gray-300 rounded-lg"
+          >
+            {EXERCISE_GRAMMARS.map((g, idx) => (
+              <option key={g.name} value={String(idx)}>
+                {g.name}
+              </option>
+            ))}
+            <option value="current">Simulator grammar, random word</option>
+            <option value="input">Simulator grammar and word</option>
+          </select>
+          <button
+            onClick={newExercise}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm font-semibold shadow-md"
+          >
+            New Exercise
+          </button>
+        </div>
+        {exerciseError && <p className="mt-2 text-sm text-red-700">{exerciseError}</p>}
+        {ex && (
+          <div className="mt-4 space-y-4">
+            <div className="grid md:grid-cols-2 gap-4 text-sm">
+              <div>
+                <div className="font-semibold text-gray-700">Grammar</div>
+                <pre className="mt-1 p-2 bg-white border rounded font-mono text-xs leading-5">{ex.grammarText}</pre>
+              </div>
+              <div>
+                <div className="font-semibold text-gray-700">Word</div>
+                <div className="mt-1 font-mono text-lg">{ex.tokens.join(" ")}</div>
+                {ex.r.cnf.grammar.variables.length !== parseGrammarFromText(ex.grammarText).variables.length && (
+                  <p className="mt-1 text-xs text-amber-700">
+                    This grammar is not in CNF; the table uses its CNF conversion, including helper symbols.
+                  </p>
+                )}
+              </div>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="border-collapse border border-gray-300">
+                <thead>
+                  <tr>
+                    {ex.tokens.map((t, col) => (
+                      <th key={col} className="px-2 py-1 text-sm font-mono italic text-gray-600">
+                        {t}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {ex.tokens.map((_, row) => (
+                    <tr key={row}>
+                      {ex.tokens.map((_, col) => {
+                        if (col < row) return <td key={col} className="border border-gray-300 bg-gray-100 min-w-16" />;
+                        const graded = ex.grade ? ex.grade.cells[row][col] : null;
+                        return (
+                          <td
+                            key={col}
+                            className={`border border-gray-300 p-1 ${
+                              graded ? (graded.correct ? "bg-green-50" : "bg-red-50") : "bg-white"
+                            }`}
+                          >
+                            <input
+                              type="text"
+                              value={ex.answers[row][col]}
+                              onChange={(e) => setAnswer(row, col, e.target.value)}
+                              aria-label={`Cell ${row} ${col}`}
+                              className="w-24 px-1 py-1 text-center font-mono border border-gray-300 rounded"
+                            />
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="flex flex-wrap items-center gap-3 text-sm">
+              <span className="text-gray-700">Is the word accepted?</span>
+              {[
+                [true, "Yes"],
+                [false, "No"],
+              ].map(([value, label]) => (
+                <button
+                  key={label}
+                  onClick={() => update({ accepted: value })}
+                  className={`px-3 py-1 rounded-lg border-2 ${
+                    ex.accepted === value
+                      ? "border-blue-500 bg-blue-50 text-blue-900"
+                      : "border-gray-300 hover:bg-gray-100 text-gray-700"
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <div className="flex flex-wrap gap-2">
+              <button
+                onClick={() => setExercise({ ...ex, grade: gradeExercise(ex.r, ex.answers, ex.accepted) })}
+                className="px-4 py-2 bg-black text-white rounded-lg hover:bg-gray-900 transition-colors text-sm font-semibold shadow-md"
+              >
+                Check Answers
+              </button>
+              <button
+                onClick={() => {
+                  const answers = ex.r.table.map((row) => row.map((cell) => Array.from(cell).join(", ")));
+                  setExercise({ ...ex, answers, accepted: ex.r.accepted, grade: gradeExercise(ex.r, answers, ex.r.accepted) });
+                }}
+                className={buttonClass}
+              >
+                Show Solution
+              </button>
+              <button
+                onClick={() => update({ answers: ex.r.table.map((row) => row.map(() => "")), accepted: null })}
+                className={buttonClass}
+              >
+                Clear
+              </button>
+            </div>
+            {ex.grade && (
+              <div className="p-4 bg-white rounded-lg border text-sm space-y-2">
+                <div className="font-semibold text-gray-800">
+                  Score: {ex.grade.score.points} / {ex.grade.score.total} (
+                  {Math.round((100 * ex.grade.score.points) / ex.grade.score.total)}%)
+                </div>
+                <div className="text-gray-700">
+                  {ex.grade.correctCells} of {ex.grade.totalCells} cells correct;{" "}
+                  {ex.grade.acceptance.given === null
+                    ? `acceptance not answered (the word is ${ex.grade.acceptance.expected ? "accepted" : "rejected"})`
+                    : ex.grade.acceptance.correct
+                      ? "acceptance answered correctly"
+                      : `acceptance is wrong: the start symbol is ${ex.grade.acceptance.expected ? "" : "not "}in the top-right cell [0][${n - 1}]`}
+                  .
+                </div>
+                {ex.grade.cells.flat().some((c) => c && !c.correct) && (
+                  <ul className="list-disc ml-5 space-y-1 text-gray-800">
+                    {ex.grade.cells.flatMap((row, i) =>
+                      row.flatMap((c, j) =>
+                        c && !c.correct
+                          ? [...c.missing, ...c.extra].map((item) => (
+                              <li key={`${i}-${j}-${item.symbol}`}>
+                                <span className="font-mono">[{i}][{j}]</span> {item.hint}
+                              </li>
+                            ))
+                          : []
+                      )
+                    )}
+                  </ul>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+      </details>
+    );
+  };
+
+  const renderGenerator = (tab) => {
+    const gen = generated[tab] || {};
+    const setGen = (changes) => setGenerated({ ...generated, [tab]: { ...gen, ...changes } });
+    const numberInput = (key, label, min, max) => (
+      <label className="inline-flex items-center gap-1">
+        {label}
+        <input
+          type="number"
+          min={min}
+          max={max}
+          value={genOptions[key]}
+          onChange={(e) =>
+            setGenOptions({
+              ...genOptions,
+              [key]: Math.max(min, Math.min(max, Number(e.target.value) || min)),
+            })
+          }
+          className="w-16 px-2 py-1 border-2 border-gray-300 rounded"
+        />
+      </label>
+    );
+    const chip = (tokens, key) => (
+      <button
+        key={key}
+        onClick={() => loadGenerated(tab, tokens)}
+        disabled={parsing}
+        title={parsing ? "Wait for the current parse to finish or cancel it" : "Load into the input and parse"}
+        className="px-2 py-0.5 bg-white border border-gray-300 rounded font-mono text-sm hover:bg-blue-50 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {tokens.length ? joinTokens(tab, tokens) : "ε"}
+      </button>
+    );
+    return (
+      <details className="mt-6 p-4 bg-gray-50 rounded-lg border">
+        <summary className="cursor-pointer font-semibold text-gray-800">Generate Strings</summary>
+        <p className="mt-2 text-xs text-gray-500">
+          See which strings the grammar describes. Click a string to load it and run CYK on it.
+        </p>
+        <div className="mt-3 flex flex-wrap items-center gap-3 text-sm">
+          {numberInput("maxLength", "Up to length", 0, 12)}
+          <button
+            onClick={() => setGen({ language: enumerateLanguage(grammarForTab(tab), genOptions.maxLength) })}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm font-semibold shadow-md"
+          >
+            List Language
+          </button>
+        </div>
+        {gen.language && (
+          <div className="mt-3 space-y-2 text-sm">
+            {gen.language.byLength.map((strings, len) => (
+              <div key={len}>
+                <div className="text-gray-700">
+                  Length {len}: {strings.length} {strings.length === 1 ? "string" : "strings"}
+                </div>
+                {strings.length > 0 && (
+                  <div className="mt-1 flex flex-wrap gap-1">{strings.map((t, idx) => chip(t, idx))}</div>
+                )}
+              </div>
+            ))}
+            {gen.language.truncated && (
+              <p className="text-amber-700">
+                Some lengths have too many strings to list; only the first ones are shown.
+              </p>
+            )}
+          </div>
+        )}
+        <div className="mt-5 flex flex-wrap items-center gap-3 text-sm">
+          {numberInput("depth", "Depth limit", 1, 30)}
+          {numberInput("count", "Sentences", 1, 50)}
+          <button
+            onClick={() => {
+              const grammar = grammarForTab(tab);
+              // Attempts that outgrow randomDerivation's size limit are dropped
+              const samples = Array.from({ length: genOptions.count }, () =>
+                randomDerivation(grammar, genOptions.depth)
+              ).filter(Boolean);
+              setGen({ samples, minDepth: minimumDerivationDepth(grammar) });
+            }}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm font-semibold shadow-md"
+          >
+            Random Sentences
+          </button>
+        </div>
+        {gen.samples &&
+          (gen.samples.length === 0 ? (
+            <p className="mt-3 text-sm text-red-700">
+              {gen.minDepth === null
+                ? "The start symbol derives no terminal string."
+                : gen.minDepth > genOptions.depth
+                  ? `No derivation fits within depth ${genOptions.depth}; the grammar needs at least ${gen.minDepth}.`
+                  : "Every derivation tried grew too large; lower the depth limit."}
+            </p>
+          ) : (
+            <ul className="mt-3 space-y-2 text-sm">
+              {gen.samples.map((sample, idx) => (
+                <li key={idx} className="p-2 bg-white rounded border">
+                  {chip(sample.tokens, idx)}
+                  <span className="ml-2 font-mono text-xs text-gray-600">{formatBracketedTree(sample.tree)}</span>
+                  <details className="mt-1">
+                    <summary className="cursor-pointer text-xs text-gray-600">Derivation tree</summary>
+                    <pre className="mt-1 text-xs leading-5 whitespace-pre overflow-x-auto">
+                      {renderAsciiTree(sample.tree)}
+                    </pre>
+                  </details>
+                </li>
+              ))}
+            </ul>
+          ))}
+      </details>
+    );
+  };
+
+  const runComparison = () => {
     setParsing(true);
     setTimeout(() => {
-      const grammar = useCustom ? parseGrammar(customGrammar) : exampleGrammar;
-      const result = cykAlgorithm(input, grammar);
-      setResult(result);
+      setComparison({ ...compareGrammars(compareText.A, compareText.B, compareOptions), texts: compareText });
+      setCompareIndex(0);
       setParsing(false);
-    }, 300);
+    }, 50);
   };
 
-  const renderTable = () => {
-    if (!result || !result.table.length) return null;
+  // Both grammars' CYK tables for one counterexample (parsed in comparedResults)
+  const renderComparedTables = (example) => {
+    const sentence = example.tokens.join(" ");
+    return (
+      <div className="mt-4">
+        <h4 className="font-semibold text-gray-800">
+          {example.tokens.length ? <span className="font-mono">{sentence}</span> : "The empty string"} is
+          accepted by the {example.acceptedBy === "A" ? "reference" : "student"} grammar only
+        </h4>
+        {example.tokens.length === 0 ? (
+          <p className="text-sm text-gray-600 mt-1">There is no table for the empty string.</p>
+        ) : (
+          <div className="grid lg:grid-cols-2 gap-6">
+            {["A", "B"].map((which) => {
+              const r = comparedResults[which];
+              return (
+                <div key={which} className="min-w-0">
+                  <div className={`mt-3 font-semibold ${r.accepted ? "text-green-700" : "text-red-700"}`}>
+                    {which === "A" ? "Reference" : "Student"}: {r.accepted ? "accepted" : "rejected"}
+                  </div>
+                  {renderTable(null, r, `compare-${which}-${sentence}`)}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    );
+  };
 
-    const n = result.table.length;
+  const renderBatchPanel = (tab) => {
+    const grammarText = tab === "PGC" ? pgcGrammarText : simGrammarText;
+    const rows = batchResults[tab];
+    const summary = rows ? summarizeBatch(rows) : null;
     return (
-      <div className="table-container overflow-x-auto mt-6">
-        <div className="inline-block min-w-full">
-          <table className="border-collapse border border-gray-300">
-            <tbody>
-              {[...Array(n)].map((_, row) => (
-                <tr key={row}>
-                  {[...Array(n)].map((_, col) => {
-                    const cellContent =
-                      col >= row
-                        ? Array.from(result.table[row][col]).join(", ")
-                        : "";
-                    return (
-                      <td
-                        key={col}
-                        className={`border border-gray-300 p-3 text-center min-w-16 ${
-                          col < row ? "bg-gray-100" : "bg-white"
-                        } ${
-                          col >= row && result.table[row][col].size > 0
-                            ? "bg-blue-50"
-                            : ""
-                        }`}
-                      >
-                        {cellContent || "-"}
-                      </td>
-                    );
-                  })}
+      <details className="mt-6 p-4 bg-gray-50 rounded-lg border">
+        <summary className="cursor-pointer font-semibold text-gray-800">Batch Test</summary>
+        <p className="mt-2 text-xs text-gray-500">
+          One input per line. Prefix with + if it should be accepted or - if it should be rejected.
+        </p>
+        <textarea
+          rows={5}
+          value={batchText[tab]}
+          onChange={(e) => setBatchText({ ...batchText, [tab]: e.target.value })}
+          className="mt-2 w-full px-4 py-3 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-blue-500 font-mono text-sm"
+        />
+        <div className="mt-2 flex flex-wrap items-center gap-3">
+          <label className="inline-flex items-center px-4 py-2 border-2 border-gray-300 rounded-lg hover:bg-gray-100 text-gray-700 text-sm cursor-pointer">
+            <Upload className="w-4 h-4 mr-2" />
+            Upload list
+            <input
+              type="file"
+              accept=".txt,.csv,text/plain"
+              className="hidden"
+              onChange={async (e) => {
+                const file = e.target.files && e.target.files[0];
+                if (!file) return;
+                const content = await file.text();
+                setBatchText({ ...batchText, [tab]: content });
+                e.target.value = "";
+              }}
+            />
+          </label>
+          <button
+            onClick={() => {
+              setParsing(true);
+              setTimeout(() => {
+                const entries = parseBatchText(batchText[tab]);
+                setBatchResults({
+                  ...batchResults,
+                  [tab]: runBatch(
+                    grammarText,
+                    entries,
+                    tokenizer[tab],
+                    treeLimit,
+                    tab === "PGC" ? pgcLexicon : null
+                  ),
+                });
+                setParsing(false);
+              }, 50);
+            }}
+            disabled={!batchText[tab].trim() || parsing || Boolean(tokenizerPatternError(tokenizer[tab]))}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm font-semibold shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {parsing ? "Running..." : "Run Batch"}
+          </button>
+          {summary && (
+            <span className="text-sm text-gray-700">
+              {summary.passed} passed, {summary.failed} failed of {summary.total} (
+              {summary.accepted} accepted)
+            </span>
+          )}
+        </div>
+        {rows && rows.length > 0 && (
+          <div className="mt-3 overflow-x-auto">
+            <table className="w-full text-left text-sm border-collapse">
+              <thead>
+                <tr className="bg-gray-100 text-gray-700">
+                  <th className="px-3 py-2 border">Line</th>
+                  <th className="px-3 py-2 border">Input</th>
+                  <th className="px-3 py-2 border">Expected</th>
+                  <th className="px-3 py-2 border">Result</th>
+                  <th className="px-3 py-2 border">Check</th>
+                  <th className="px-3 py-2 border">Tokens</th>
+                  <th className="px-3 py-2 border">Parses</th>
                 </tr>
-              ))}
-            </tbody>
-          </table>
-          <div className="mt-2 text-sm text-gray-600">
-            CYK Parsing Table (Lower triangular cells are unused)
+              </thead>
+              <tbody>
+                {rows.map((row) => (
+                  <tr
+                    key={row.line}
+                    onClick={() => {
+                      cancelParse();
+                      if (tab === "PGC") setPgcSentence(row.input);
+                      else setSimWord(row.input);
+                      const loaded = withEarley(row.result, grammarText, tab === "PGC" ? pgcLexicon : null);
+                      setResult(
+                        tab === "PGC" && !loaded.accepted
+                          ? { ...loaded, recovery: analyzeRejection(grammarText, loaded) }
+                          : loaded
+                      );
+                      setTreeIndex(0);
+                      setPlaying(false);
+                      setPlayStep(null);
+                    }}
+                    className={`cursor-pointer hover:bg-blue-50 ${
+                      row.pass === false ? "bg-red-50" : row.pass ? "bg-green-50" : "bg-white"
+                    }`}
+                    title="Load into the table and tree view"
+                  >
+                    <td className="px-3 py-2 border text-gray-500">{row.line}</td>
+                    <td className="px-3 py-2 border font-mono">{row.input || "(empty)"}</td>
+                    <td className="px-3 py-2 border">
+                      {row.expected === null ? "—" : row.expected ? "accept" : "reject"}
+                    </td>
+                    <td className="px-3 py-2 border">{row.result.accepted ? "accepted" : "rejected"}</td>
+                    <td
+                      className={`px-3 py-2 border font-semibold ${
+                        row.pass === false ? "text-red-700" : "text-green-700"
+                      }`}
+                    >
+                      {row.pass === null ? "—" : row.pass ? "PASS" : "FAIL"}
+                    </td>
+                    <td className="px-3 py-2 border">{row.tokens.length}</td>
+                    <td className="px-3 py-2 border">{row.result.treeCount}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
           </div>
+        )}
+      </details>
+    );
+  };
+
+  // Repair mode for rejected PGC sentences: recognized constituents and minimum-edit fixes
+  const renderRecovery = () => {
+    const { forest, repair } = result.recovery;
+    const { tokens } = result;
+    const applyRepair = (edits) => {
+      const sentence = applyEdits(tokens, edits).join(" ");
+      setPgcSentence(sentence);
+      runPgc(sentence);
+    };
+    return (
+      <div className="p-4 bg-amber-50 rounded-lg border border-amber-200">
+        <h4 className="font-semibold text-gray-800 mb-1">Repair Suggestions</h4>
+        <p className="text-sm text-gray-600 mb-2">
+          Largest constituents the grammar recognizes (unrecognized words in red):
+        </p>
+        <div className="flex flex-wrap gap-2 mb-4">
+          {forest.map((piece) => (
+            <div
+              key={piece.start}
+              title={piece.tree ? formatBracketedTree(piece.tree) : "Not part of any constituent"}
+              className={`px-3 py-1 rounded border text-center ${
+                piece.symbol ? "bg-white border-blue-300" : "bg-red-50 border-red-300"
+              }`}
+            >
+              <div className={`text-xs font-semibold ${piece.symbol ? "text-blue-700" : "text-red-700"}`}>
+                {piece.symbol || "?"}
+              </div>
+              <div className="font-mono text-sm">{tokens.slice(piece.start, piece.end + 1).join(" ")}</div>
+            </div>
+          ))}
         </div>
+        {!repair ? (
+          <p className="text-sm text-gray-700">The grammar does not derive any sentence, so no repair exists.</p>
+        ) : (
+          <>
+            <p className="text-sm text-gray-700 mb-2">
+              Minimum edits to make the sentence grammatical: <span className="font-semibold">{repair.distance}</span>
+            </p>
+            <ul className="space-y-1">
+              {repair.edits.map((edit, idx) => (
+                <li key={idx} className="flex items-center gap-3 text-sm">
+                  <button
+                    onClick={() => applyRepair([edit])}
+                    disabled={parsing}
+                    className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    Apply
+                  </button>
+                  <span>{describeEdit(edit, tokens)}</span>
+                </li>
+              ))}
+            </ul>
+            {repair.edits.length > 1 && (
+              <button
+                onClick={() => applyRepair(repair.edits)}
+                disabled={parsing}
+                className="mt-3 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm font-semibold disabled:opacity-50"
+              >
+                Apply all ({applyEdits(tokens, repair.edits).join(" ")})
+              </button>
+            )}
+          </>
+        )}
       </div>
     );
   };
 
+  const renderCnfStages = () => {
+    if (!result || !result.cnfStages) return null;
+    return (
+      <details className="mt-6 p-4 bg-gray-50 rounded-lg border">
+        <summary className="cursor-pointer font-semibold text-gray-800">
+          CNF Conversion (START → TERM → BIN → DEL → UNIT)
+        </summary>
+        <div className="mt-4 grid md:grid-cols-2 gap-4">
+          {result.cnfStages.map((stage, idx) => (
+            <div key={stage.name} className="bg-white rounded border p-3">
+              <div className="font-semibold text-gray-800">
+                {idx + 1}) {stage.name}
+              </div>
+              <div className="text-xs text-gray-600 mb-2">{stage.description}</div>
+              <pre className="text-xs leading-5 whitespace-pre overflow-x-auto font-mono">
+                {formatGrammarText(stage.grammar)}
+              </pre>
+            </div>
+          ))}
+        </div>
+        <p className="mt-3 text-xs text-gray-500">
+          The table uses the final CNF grammar; the parse tree is shown with your original rules.
+        </p>
+      </details>
+    );
+  };
+
   return (
     <div
       className="min-h-screen bg-cover bg-center bg-no-repeat bg-fixed"
@@ -399,7 +2353,7 @@ export default function CYKAlgorithmApp() {
               </h1>
             </div>
             <div className="navbar-tabs flex items-center space-x-8">
-              {["CYK", "Simulator", "PGC", "RBS", "Know", "About Us"].map(
+              {TABS.map(
                 (tab) => (
                   <button
                     key={tab}
@@ -500,117 +2454,180 @@ export default function CYKAlgorithmApp() {
         )}
 
         {activeTab === "PGC" && (
-          <div className="bg-white rounded-2xl shadow-xl p-8">
-            <h2 className="text-3xl font-serif mb-6 text-gray-800">
-              Personal Grammar Checker (Custom CFG)
-            </h2>
-            <div className="grid md:grid-cols-2 gap-6">
-              <div>
-                <label className="block text-sm font-semibold text-gray-700 mb-2">Grammar (use quotes for multi-letter terminals)</label>
-                <textarea
-                  rows={10}
-                  value={pgcGrammarText}
-                  onChange={(e) => setPgcGrammarText(e.target.value)}
-                  className="w-full px-4 py-3 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-blue-500 font-mono text-sm"
-                />
-                {/* <p className="text-xs text-gray-500 mt-1">Default example provided from your screenshot.</p> */}
-              </div>
-              <div>
-                <label className="block text-sm font-semibold text-gray-700 mb-2">Sentence</label>
-                <input
-                  type="text"
-                  value={pgcSentence}
-                  onChange={(e) => setPgcSentence(e.target.value)}
-                  placeholder="e.g., the cat chased a dog"
-                  className="w-full px-4 py-3 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-blue-500"
-                />
-                <button
-                  onClick={() => {
-                    setParsing(true);
-                    setTimeout(() => {
-                      const g = parseGrammarFromText(pgcGrammarText);
-                      const tokens = pgcSentence.trim().split(/\s+/);
-                      const cr = cykWithPointers(tokens, g);
-                      const tree = cr.accepted ? buildParseTree(g, tokens, cr.back) : null;
-                      setResult({ accepted: cr.accepted, table: cr.table, steps: [], tree });
-                      setParsing(false);
-                    }, 50);
-                  }}
-                  disabled={!pgcSentence || parsing}
-                  className="mt-4 w-full px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-semibold shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
-                >
-                  {parsing ? "Generating..." : "Generate Table & Parse Tree"}
-                </button>
+          <div className="flex flex-col lg:flex-row gap-6 items-start">
+            {renderLibrary("PGC")}
+            <div className="flex-1 min-w-0 bg-white rounded-2xl shadow-xl p-8">
+              <h2 className="text-3xl font-serif mb-6 text-gray-800">
+                Personal Grammar Checker (Custom CFG)
+              </h2>
+              <div className="grid md:grid-cols-2 gap-6">
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">Grammar (use quotes for multi-letter terminals)</label>
+                  {renderGrammarIo("PGC")}
+                  <textarea
+                    rows={10}
+                    value={pgcGrammarText}
+                    onChange={(e) => setPgcGrammarText(e.target.value)}
+                    {...grammarDropProps("PGC")}
+                    className="w-full px-4 py-3 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-blue-500 font-mono text-sm"
+                  />
+                  {renderDiagnostics(pgcGrammarText, pgcLexicon ? lexicalCategories(pgcLexicon.words) : [])}
+                  {renderLexicon()}
+                  {/* <p className="text-xs text-gray-500 mt-1">Default example provided from your screenshot.</p> */}
+                </div>
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">Sentence</label>
+                  <input
+                    type="text"
+                    value={pgcSentence}
+                    onChange={(e) => setPgcSentence(e.target.value)}
+                    placeholder="e.g., the cat chased a dog"
+                    className="w-full px-4 py-3 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-blue-500"
+                  />
+                  {renderTokenizer("PGC")}
+                  {renderAlgorithmPicker()}
+                  <button
+                    onClick={() => (parseJob ? parseJob.cancel() : runPgc())}
+                    disabled={parseJob ? false : !pgcSentence || parsing || Boolean(tokenizerPatternError(tokenizer.PGC))}
+                    title={parseJob ? "Cancel this parse" : undefined}
+                    className="mt-4 w-full px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-semibold shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {parseButtonLabel("Generate Table & Parse Tree")}
+                  </button>
+                </div>
               </div>
-            </div>
 
-            {result && (
-              <div className="mt-8 space-y-6">
-                <div
-                  className={`p-6 rounded-lg ${
-                    result.accepted
-                      ? "bg-green-50 border-2 border-green-300"
-                      : "bg-red-50 border-2 border-red-300"
-                  }`}
-                >
-                  <div className="flex items-center">
-                    {result.accepted ? (
-                      <CheckCircle className="w-8 h-8 text-green-600 mr-3" />
-                    ) : (
-                      <XCircle className="w-8 h-8 text-red-600 mr-3" />
-                    )}
-                    <div>
-                      <h3
-                        className={`text-xl font-bold ${
-                          result.accepted ? "text-green-900" : "text-red-900"
-                        }`}
-                      >
-                        {result.accepted
-                          ? "Sentence Accepted!"
-                          : "Sentence Rejected"}
-                      </h3>
-                    </div>
-                  </div>
+              {renderBatchPanel("PGC")}
+              {renderGenerator("PGC")}
+              {renderBenchmark("PGC")}
+
+              {parseError && (
+                <div className="mt-8 p-4 rounded-lg bg-red-50 border-2 border-red-300 text-red-800">
+                  <span className="font-semibold">Parsing failed:</span> {parseError}
                 </div>
+              )}
 
-                {/* Render CYK table using existing renderer */}
-                {renderTable()}
-
-                {/* Parse tree if available */}
-                {result.tree && (
-                  <div className="mt-6 p-4 bg-gray-50 rounded-lg border">
-                    <h4 className="font-semibold text-gray-800 mb-3">Parse Tree</h4>
-                      <div className="parse-tree-container h-[420px] w-full bg-white rounded border">
-                      <Tree
-                        data={toD3Tree(result.tree)}
-                        orientation="vertical"
-                        translate={{ x: 300, y: 40 }}
-                        pathFunc="elbow"
-                        collapsible={false}
-                        zoom={0.8}
-                        styles={{
-                          links: { stroke: '#94a3b8' },
-                          nodes: {
-                            node: { circle: { fill: '#2563eb' }, name: { fill: '#111827', fontSize: '12px' } },
-                            leafNode: { circle: { fill: '#10b981' }, name: { fill: '#111827', fontSize: '12px' } }
-                          }
-                        }}
-                      />
+              {result && (
+                <div className="mt-8 space-y-6">
+                  <div
+                    className={`p-6 rounded-lg ${
+                      result.accepted
+                        ? "bg-green-50 border-2 border-green-300"
+                        : "bg-red-50 border-2 border-red-300"
+                    }`}
+                  >
+                    <div className="flex items-center">
+                      {result.accepted ? (
+                        <CheckCircle className="w-8 h-8 text-green-600 mr-3" />
+                      ) : (
+                        <XCircle className="w-8 h-8 text-red-600 mr-3" />
+                      )}
+                      <div>
+                        <h3
+                          className={`text-xl font-bold ${
+                            result.accepted ? "text-green-900" : "text-red-900"
+                          }`}
+                        >
+                          {result.accepted
+                            ? "Sentence Accepted!"
+                            : "Sentence Rejected"}
+                        </h3>
+                      </div>
                     </div>
-                    <details className="mt-3">
-                      <summary className="cursor-pointer text-sm text-gray-600">Show ASCII</summary>
-                      <pre className="mt-2 text-xs leading-5 whitespace-pre overflow-x-auto">{renderAsciiTree(result.tree)}</pre>
-                    </details>
                   </div>
-                )}
-              </div>
-            )}
+
+                  {result.unknownWords && result.unknownWords.length > 0 && (
+                    <div className="p-4 bg-amber-50 rounded-lg border border-amber-300 text-sm text-gray-800">
+                      <span className="font-semibold">Unknown {result.unknownWords.length === 1 ? "word" : "words"}:</span>{" "}
+                      {result.unknownWords.map((w) => `'${w}'`).join(", ")} — not in the grammar
+                      {pgcLexicon && pgcLexicon.words.size ? " or the lexicon" : ""}.{" "}
+                      {lexiconWildcard
+                        ? "They were matched as wildcards against every preterminal."
+                        : "Add missing words to the lexicon, or let unknown words match any preterminal."}
+                    </div>
+                  )}
+
+                  {result.recovery && renderRecovery()}
+
+                  {algorithm !== "earley" && (
+                    <>
+                      {/* Render CYK table using existing renderer */}
+                      {renderTable()}
+
+                      {renderCnfStages()}
+
+                      {/* Most likely parse for probabilistic grammars */}
+                      {result.viterbi && (
+                        <div className="mt-6 p-4 bg-gray-50 rounded-lg border">
+                          <h4 className="font-semibold text-gray-800 mb-1">Most Likely Parse (Viterbi)</h4>
+                          <p className="text-sm text-gray-600 mb-3">
+                            P(tree) = {formatProbability(result.viterbi.probability)}
+                          </p>
+                          <div className="parse-tree-container h-[420px] w-full bg-white rounded border">
+                            <Tree
+                              data={toD3Tree(result.viterbi.tree)}
+                              orientation="vertical"
+                              translate={{ x: 300, y: 40 }}
+                              pathFunc="elbow"
+                              collapsible={false}
+                              zoom={0.8}
+                              styles={{
+                                links: { stroke: '#94a3b8' },
+                                nodes: {
+                                  node: { circle: { fill: '#2563eb' }, name: { fill: '#111827', fontSize: '12px' } },
+                                  leafNode: { circle: { fill: '#10b981' }, name: { fill: '#111827', fontSize: '12px' } }
+                                }
+                              }}
+                            />
+                          </div>
+                          {renderTreeExport(result.viterbi.tree, "most-likely-tree")}
+                        </div>
+                      )}
+
+                      {/* Parse tree if available */}
+                      {result.tree && (
+                        <div className="mt-6 p-4 bg-gray-50 rounded-lg border">
+                          <h4 className="font-semibold text-gray-800 mb-3">Parse Tree</h4>
+                          {renderTreePager()}
+                            <div className="parse-tree-container h-[420px] w-full bg-white rounded border">
+                            <Tree
+                              data={toD3Tree(currentTree())}
+                              orientation="vertical"
+                              translate={{ x: 300, y: 40 }}
+                              pathFunc="elbow"
+                              collapsible={false}
+                              zoom={0.8}
+                              styles={{
+                                links: { stroke: '#94a3b8' },
+                                nodes: {
+                                  node: { circle: { fill: '#2563eb' }, name: { fill: '#111827', fontSize: '12px' } },
+                                  leafNode: { circle: { fill: '#10b981' }, name: { fill: '#111827', fontSize: '12px' } }
+                                }
+                              }}
+                            />
+                          </div>
+                          <details className="mt-3">
+                            <summary className="cursor-pointer text-sm text-gray-600">Show ASCII</summary>
+                            <pre className="mt-2 text-xs leading-5 whitespace-pre overflow-x-auto">{renderAsciiTree(currentTree())}</pre>
+                          </details>
+                          {renderDerivation(currentTree())}
+                          {renderTreeExport(currentTree())}
+                        </div>
+                      )}
+                    </>
+                  )}
+
+                  {algorithm !== "cyk" && renderEarley()}
+                </div>
+              )}
+            </div>
           </div>
         )}
 
         {activeTab === "Simulator" && (
-          <div className="max-w-5xl mx-auto">
-            <div className="bg-white/90 backdrop-blur rounded-2xl shadow-xl p-8 border-2 border-gray-200">
+          <div className="max-w-7xl mx-auto flex flex-col lg:flex-row gap-6 items-start">
+            {renderLibrary("Simulator")}
+            <div className="flex-1 min-w-0 bg-white/90 backdrop-blur rounded-2xl shadow-xl p-8 border-2 border-gray-200">
               <h2 className="text-3xl font-serif mb-6 text-gray-800">
                 CYK Algorithm Simulator
               </h2>
@@ -619,12 +2636,15 @@ export default function CYKAlgorithmApp() {
                   <label className="block text-sm font-semibold text-gray-700 mb-2">
                     Grammar
                   </label>
+                  {renderGrammarIo("Simulator")}
                   <textarea
                     value={simGrammarText}
                     onChange={(e) => setSimGrammarText(e.target.value)}
+                    {...grammarDropProps("Simulator")}
                     rows={10}
                     className="w-full px-4 py-3 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-blue-500 font-mono text-lg leading-7"
                   />
+                  {renderDiagnostics(simGrammarText)}
                 </div>
                 <div className="md:col-span-1">
                   <label className="block text-sm font-semibold text-gray-700 mb-2">
@@ -636,31 +2656,35 @@ export default function CYKAlgorithmApp() {
                     onChange={(e) => setSimWord(e.target.value)}
                     className="w-full px-4 py-3 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-blue-500 text-lg"
                   />
+                  {renderTokenizer("Simulator")}
+                  {renderAlgorithmPicker()}
                   <button
-                    onClick={() => {
-                      setParsing(true);
-                      setTimeout(() => {
-                        const g = parseGrammarFromText(simGrammarText);
-                        const tokens = simWord.includes(' ')
-                          ? simWord.trim().split(/\s+/)
-                          : simWord.trim().split('');
-                        const cr = cykWithPointers(tokens, g);
-                        const tree = cr.accepted ? buildParseTree(g, tokens, cr.back) : null;
-                        setResult({ accepted: cr.accepted, table: cr.table, steps: [], tree });
-                        setParsing(false);
-                      }, 50);
-                    }}
-                    disabled={!simWord || parsing}
+                    onClick={() => (parseJob ? parseJob.cancel() : runSimulator())}
+                    disabled={parseJob ? false : !simWord || parsing || Boolean(tokenizerPatternError(tokenizer.Simulator))}
+                    title={parseJob ? "Cancel this parse" : undefined}
                     className="mt-6 w-full px-6 py-3 bg-black text-white rounded-lg hover:bg-gray-900 transition-colors font-semibold shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
                   >
-                    {parsing ? "Generating..." : "Generate Table"}
+                    {parseButtonLabel("Generate Table")}
                   </button>
                   <p className="text-xs text-gray-500 mt-3">
-                    Format: Lines like S -&gt; AB | BC or A -&gt; a
+                    Format: Lines like S -&gt; AB | BC, A -&gt; a B or A -&gt; ε; # starts a comment, %start X
+                    picks the start symbol, &lt;Long Name&gt; is a nonterminal and "..." or '...' a terminal.
+                    Any context-free grammar is converted to CNF before parsing.
                   </p>
                 </div>
               </div>
 
+              {renderBatchPanel("Simulator")}
+              {renderGenerator("Simulator")}
+              {renderBenchmark("Simulator")}
+              {renderExercise()}
+
+              {parseError && (
+                <div className="mt-8 p-4 rounded-lg bg-red-50 border-2 border-red-300 text-red-800">
+                  <span className="font-semibold">Parsing failed:</span> {parseError}
+                </div>
+              )}
+
               {result && (
                 <div className="mt-8">
                   <div
@@ -693,99 +2717,408 @@ export default function CYKAlgorithmApp() {
                     </div>
                   </div>
 
-                  {renderTable()}
-
-                  {result.tree && (
-                    <div className="mt-6 p-4 bg-gray-50 rounded-lg border">
-                      <h4 className="font-semibold text-gray-800 mb-3">Parse Tree</h4>
-                      <div className="parse-tree-container h-[420px] w-full bg-white rounded border">
-                        <Tree
-                          data={toD3Tree(result.tree)}
-                          orientation="vertical"
-                          translate={{ x: 300, y: 40 }}
-                          pathFunc="elbow"
-                          collapsible={false}
-                          zoom={0.8}
-                          styles={{
-                            links: { stroke: '#94a3b8' },
-                            nodes: {
-                              node: { circle: { fill: '#2563eb' }, name: { fill: '#111827', fontSize: '12px' } },
-                              leafNode: { circle: { fill: '#10b981' }, name: { fill: '#111827', fontSize: '12px' } }
+                  {algorithm !== "earley" && (
+                    <>
+                      {renderPlaybackControls()}
+
+                      {renderTable(
+                        playStep !== null && result.fillSteps && result.fillSteps[playStep]
+                          ? {
+                              table: replayFillSteps(result.table.length, result.fillSteps, playStep),
+                              step: result.fillSteps[playStep],
                             }
-                          }}
-                        />
-                      </div>
-                    </div>
+                          : undefined
+                      )}
+
+                      {renderCnfStages()}
+
+                      {result.tree && (
+                        <div className="mt-6 p-4 bg-gray-50 rounded-lg border">
+                          <h4 className="font-semibold text-gray-800 mb-3">Parse Tree</h4>
+                          {renderTreePager()}
+                          <div className="parse-tree-container h-[420px] w-full bg-white rounded border">
+                            <Tree
+                              data={toD3Tree(currentTree())}
+                              orientation="vertical"
+                              translate={{ x: 300, y: 40 }}
+                              pathFunc="elbow"
+                              collapsible={false}
+                              zoom={0.8}
+                              styles={{
+                                links: { stroke: '#94a3b8' },
+                                nodes: {
+                                  node: { circle: { fill: '#2563eb' }, name: { fill: '#111827', fontSize: '12px' } },
+                                  leafNode: { circle: { fill: '#10b981' }, name: { fill: '#111827', fontSize: '12px' } }
+                                }
+                              }}
+                            />
+                          </div>
+                          {renderDerivation(currentTree())}
+                          {renderTreeExport(currentTree())}
+                        </div>
+                      )}
+                    </>
                   )}
+
+                  {algorithm !== "cyk" && renderEarley()}
                 </div>
               )}
             </div>
           </div>
         )}
 
-        {/* {activeTab === 'RBS' && (
+        {activeTab === "Compare" && (
           <div className="bg-white rounded-2xl shadow-xl p-8">
-            <h2 className="text-3xl font-serif mb-6 text-gray-800">Rule-Based System (Custom Grammar)</h2>
-            
-            <div className="grid md:grid-cols-2 gap-6 mb-6">
-              <div>
-                <label className="block text-sm font-semibold text-gray-700 mb-2">
-                  Variables (comma-separated):
+            <h2 className="text-3xl font-serif mb-6 text-gray-800">Compare Grammars</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              Checks every string up to the chosen length and random longer sentences derived from
+              each grammar. A counterexample proves the grammars differ; finding none is strong
+              evidence, not proof, that they are equivalent.
+            </p>
+            <div className="grid md:grid-cols-2 gap-6">
+              {["A", "B"].map((which) => (
+                <div key={which}>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">
+                    {which === "A" ? "Reference grammar" : "Student grammar"}
+                  </label>
+                  <textarea
+                    rows={8}
+                    value={compareText[which]}
+                    onChange={(e) => setCompareText({ ...compareText, [which]: e.target.value })}
+                    className="w-full px-4 py-3 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-blue-500 font-mono text-sm"
+                  />
+                  {renderDiagnostics(compareText[which])}
+                </div>
+              ))}
+            </div>
+            <div className="mt-4 flex flex-wrap items-center gap-4 text-sm">
+              {[
+                ["maxLength", "Every string up to length", 0, 10],
+                ["samples", "Random sentences per grammar", 0, 2000],
+                ["depth", "Depth limit", 1, 30],
+              ].map(([key, label, min, max]) => (
+                <label key={key} className="inline-flex items-center gap-1">
+                  {label}
+                  <input
+                    type="number"
+                    min={min}
+                    max={max}
+                    value={compareOptions[key]}
+                    onChange={(e) =>
+                      setCompareOptions({
+                        ...compareOptions,
+                        [key]: Math.max(min, Math.min(max, Number(e.target.value) || min)),
+                      })
+                    }
+                    className="w-20 px-2 py-1 border-2 border-gray-300 rounded"
+                  />
                 </label>
+              ))}
+              <button
+                onClick={runComparison}
+                disabled={parsing}
+                className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-semibold shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {parsing ? "Comparing..." : "Compare"}
+              </button>
+            </div>
+
+            {comparison && (
+              <div className="mt-8 space-y-6">
+                <div
+                  className={`p-6 rounded-lg border-2 ${
+                    comparison.counterexamples.length
+                      ? "bg-red-50 border-red-300"
+                      : "bg-green-50 border-green-300"
+                  }`}
+                >
+                  <div className="flex items-center">
+                    {comparison.counterexamples.length ? (
+                      <XCircle className="w-8 h-8 text-red-600 mr-3" />
+                    ) : (
+                      <CheckCircle className="w-8 h-8 text-green-600 mr-3" />
+                    )}
+                    <div>
+                      <h3 className="text-xl font-bold text-gray-900">
+                        {comparison.counterexamples.length
+                          ? "The grammars are not equivalent"
+                          : "No difference found"}
+                      </h3>
+                      <p className="text-sm text-gray-700">
+                        Checked every string up to length {comparison.byLength.length - 1} and{" "}
+                        {comparison.sampled.checked} longer random sentences
+                        {comparison.truncated ? " (some lengths had too many strings and were listed partially)" : ""}.
+                      </p>
+                    </div>
+                  </div>
+                </div>
+
+                <div className="overflow-x-auto">
+                  <table className="border-collapse border border-gray-300 text-sm">
+                    <thead>
+                      <tr className="bg-gray-100">
+                        <th className="px-3 py-2 border">Length</th>
+                        <th className="px-3 py-2 border">Strings over the alphabet</th>
+                        <th className="px-3 py-2 border">Both accept</th>
+                        <th className="px-3 py-2 border">Both reject</th>
+                        <th className="px-3 py-2 border">Only reference</th>
+                        <th className="px-3 py-2 border">Only student</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {comparison.byLength.map((row) => (
+                        <tr key={row.length} className={row.onlyA || row.onlyB ? "bg-red-50" : "bg-white"}>
+                          <td className="px-3 py-2 border text-center">{row.length}</td>
+                          <td className="px-3 py-2 border text-right">{row.total.toLocaleString()}</td>
+                          <td className="px-3 py-2 border text-right">{row.both}</td>
+                          <td className="px-3 py-2 border text-right">
+                            {row.neither === null ? "?" : row.neither.toLocaleString()}
+                          </td>
+                          <td className="px-3 py-2 border text-right">{row.onlyA}</td>
+                          <td className="px-3 py-2 border text-right">{row.onlyB}</td>
+                        </tr>
+                      ))}
+                      <tr className={comparison.sampled.disagreements ? "bg-red-50" : "bg-white"}>
+                        <td className="px-3 py-2 border text-center" colSpan={2}>
+                          Random, longer
+                        </td>
+                        <td className="px-3 py-2 border text-right" colSpan={2}>
+                          {comparison.sampled.checked - comparison.sampled.disagreements} agree
+                        </td>
+                        <td className="px-3 py-2 border text-right" colSpan={2}>
+                          {comparison.sampled.disagreements} disagree
+                        </td>
+                      </tr>
+                    </tbody>
+                  </table>
+                </div>
+
+                {comparison.counterexamples.length > 0 && (
+                  <div>
+                    <h4 className="font-semibold text-gray-800 mb-2">
+                      Counterexamples ({comparison.counterexamples.length}, shortest first)
+                    </h4>
+                    <div className="flex flex-wrap gap-1">
+                      {comparison.counterexamples.slice(0, 50).map((example, idx) => (
+                        <button
+                          key={idx}
+                          onClick={() => setCompareIndex(idx)}
+                          className={`px-2 py-0.5 border rounded font-mono text-sm ${
+                            idx === compareIndex ? "bg-blue-600 text-white" : "bg-white hover:bg-blue-50"
+                          }`}
+                        >
+                          {example.tokens.length ? example.tokens.join(" ") : "ε"}
+                        </button>
+                      ))}
+                    </div>
+                    {renderComparedTables(comparison.counterexamples[compareIndex])}
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+
+        {activeTab === "RBS" && (
+          <div className="bg-white rounded-2xl shadow-xl p-8">
+            <h2 className="text-3xl font-serif mb-2 text-gray-800">Rule-Based System (Custom Grammar)</h2>
+            <p className="mb-6 text-sm text-gray-600">
+              Declare the symbols, then add one production per row: a single terminal or two variables separated by a
+              space (e.g. <span className="font-mono">A B</span>). The grammar must be in Chomsky Normal Form.
+            </p>
+
+            <div className="grid md:grid-cols-3 gap-6 mb-6">
+              <div>
+                <label className="block text-sm font-semibold text-gray-700 mb-2">Variables (comma-separated):</label>
                 <input
                   type="text"
-                  value={customGrammar.variables}
-                  onChange={(e) => setCustomGrammar({...customGrammar, variables: e.target.value})}
-                  placeholder="S,A,B"
-                  className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-purple-500"
+                  value={rbsForm.variables}
+                  onChange={(e) => updateRbsForm({ variables: e.target.value })}
+                  placeholder="S, A, B"
+                  className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-purple-500 font-mono"
                 />
               </div>
-              
               <div>
-                <label className="block text-sm font-semibold text-gray-700 mb-2">
-                  Terminals (comma-separated):
-                </label>
+                <label className="block text-sm font-semibold text-gray-700 mb-2">Terminals (comma-separated):</label>
                 <input
                   type="text"
-                  value={customGrammar.terminals}
-                  onChange={(e) => setCustomGrammar({...customGrammar, terminals: e.target.value})}
-                  placeholder="a,b"
-                  className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-purple-500"
+                  value={rbsForm.terminals}
+                  onChange={(e) => updateRbsForm({ terminals: e.target.value })}
+                  placeholder="a, b"
+                  className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-purple-500 font-mono"
                 />
               </div>
+              <div>
+                <label className="block text-sm font-semibold text-gray-700 mb-2">Start Symbol:</label>
+                <select
+                  value={rbsForm.startSymbol}
+                  onChange={(e) => updateRbsForm({ startSymbol: e.target.value })}
+                  className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-purple-500 font-mono"
+                >
+                  {rbsVariableOptions(rbsForm.startSymbol).map((A) => (
+                    <option key={A} value={A}>
+                      {A}
+                    </option>
+                  ))}
+                </select>
+              </div>
             </div>
 
-            <div className="mb-6">
-              <label className="block text-sm font-semibold text-gray-700 mb-2">
-                Start Symbol:
-              </label>
-              <input
-                type="text"
-                value={customGrammar.startSymbol}
-                onChange={(e) => setCustomGrammar({...customGrammar, startSymbol: e.target.value})}
-                placeholder="S"
-                className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-purple-500"
-              />
+            <div className="mb-4">
+              <div className="text-sm font-semibold text-gray-700 mb-2">Production Rules:</div>
+              <table className="border-collapse text-sm">
+                <thead>
+                  <tr className="text-left text-gray-600">
+                    <th className="px-2 py-1">#</th>
+                    <th className="px-2 py-1">Variable</th>
+                    <th className="px-2 py-1" />
+                    <th className="px-2 py-1">Right-hand side</th>
+                    <th className="px-2 py-1" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {rbsForm.productions.map((p, row) => {
+                    const rowIssues = rbsValidation.issues.filter((issue) => issue.row === row);
+                    return (
+                      <React.Fragment key={row}>
+                        <tr>
+                          <td className="px-2 py-1 text-gray-500">{row + 1}</td>
+                          <td className="px-2 py-1">
+                            <select
+                              value={p.lhs}
+                              onChange={(e) => updateProduction(row, { lhs: e.target.value })}
+                              aria-label={`Variable of production ${row + 1}`}
+                              className="px-2 py-1 border-2 border-gray-300 rounded-lg font-mono"
+                            >
+                              {!p.lhs && <option value="">–</option>}
+                              {rbsVariableOptions(p.lhs).map((A) => (
+                                <option key={A} value={A}>
+                                  {A}
+                                </option>
+                              ))}
+                            </select>
+                          </td>
+                          <td className="px-1 py-1 text-gray-600">→</td>
+                          <td className="px-2 py-1">
+                            <input
+                              type="text"
+                              value={p.rhs}
+                              onChange={(e) => updateProduction(row, { rhs: e.target.value })}
+                              aria-label={`Right-hand side of production ${row + 1}`}
+                              placeholder="A B or a"
+                              className={`w-48 px-2 py-1 border-2 rounded-lg font-mono focus:outline-none focus:border-purple-500 ${
+                                rowIssues.some((issue) => issue.severity === "error") ? "border-red-300" : "border-gray-300"
+                              }`}
+                            />
+                          </td>
+                          <td className="px-2 py-1 whitespace-nowrap">
+                            <button
+                              onClick={() => moveProduction(row, -1)}
+                              disabled={row === 0}
+                              aria-label={`Move production ${row + 1} up`}
+                              title="Move up"
+                              className="p-1 rounded hover:bg-gray-100 text-gray-600 disabled:opacity-30"
+                            >
+                              <ChevronUp className="w-4 h-4" />
+                            </button>
+                            <button
+                              onClick={() => moveProduction(row, 1)}
+                              disabled={row === rbsForm.productions.length - 1}
+                              aria-label={`Move production ${row + 1} down`}
+                              title="Move down"
+                              className="p-1 rounded hover:bg-gray-100 text-gray-600 disabled:opacity-30"
+                            >
+                              <ChevronDown className="w-4 h-4" />
+                            </button>
+                            <button
+                              onClick={() =>
+                                updateRbsForm({ productions: rbsForm.productions.filter((_, idx) => idx !== row) })
+                              }
+                              aria-label={`Remove production ${row + 1}`}
+                              title="Remove"
+                              className="p-1 rounded hover:bg-red-50 text-red-600"
+                            >
+                              <Trash2 className="w-4 h-4" />
+                            </button>
+                          </td>
+                        </tr>
+                        {rowIssues.map((issue, idx) => (
+                          <tr key={`issue-${idx}`}>
+                            <td />
+                            <td
+                              colSpan={4}
+                              className={`px-2 pb-1 text-xs ${issue.severity === "error" ? "text-red-700" : "text-amber-700"}`}
+                            >
+                              {issue.message}
+                            </td>
+                          </tr>
+                        ))}
+                      </React.Fragment>
+                    );
+                  })}
+                </tbody>
+              </table>
+              <div className="mt-3 flex flex-wrap gap-2">
+                <button
+                  onClick={() =>
+                    updateRbsForm({
+                      productions: [...rbsForm.productions, emptyProduction(splitSymbols(rbsForm.variables)[0])],
+                    })
+                  }
+                  className="inline-flex items-center px-3 py-2 rounded-lg border-2 border-gray-300 hover:bg-gray-100 text-gray-700 text-sm font-semibold"
+                >
+                  <Plus className="w-4 h-4 mr-1" />
+                  Add Production
+                </button>
+                <button
+                  onClick={() => updateRbsForm(grammarToForm(parseGrammarFromText(simGrammarText)))}
+                  className="px-3 py-2 rounded-lg border-2 border-gray-300 hover:bg-gray-100 text-gray-700 text-sm font-semibold"
+                >
+                  Load Simulator Grammar
+                </button>
+                <button
+                  onClick={() => {
+                    setSimGrammarText(formatGrammarText(rbsValidation.grammar));
+                    setActiveTab("Simulator");
+                  }}
+                  disabled={!rbsValidation.grammar}
+                  className="px-3 py-2 rounded-lg border-2 border-gray-300 hover:bg-gray-100 text-gray-700 text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Open in Simulator
+                </button>
+              </div>
             </div>
 
-            <div className="mb-6">
-              <label className="block text-sm font-semibold text-gray-700 mb-2">
-                Production Rules (one per line, use | for alternatives):
-              </label>
-              <textarea
-                value={customGrammar.rules}
-                onChange={(e) => setCustomGrammar({...customGrammar, rules: e.target.value})}
-                placeholder="S->AB|BA&#10;A->a&#10;B->b"
-                rows={6}
-                className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-purple-500 font-mono text-sm"
-              />
-              <p className="text-xs text-gray-500 mt-1">Format: Variable→Production|Alternative (e.g., S→AB|BA)</p>
+            <div className="mb-6 p-3 bg-gray-50 rounded-lg border text-sm">
+              <div className="font-semibold text-gray-800 mb-1">Validation</div>
+              {rbsValidation.issues.some((issue) => issue.row === null) && (
+                <ul className="space-y-1 mb-1">
+                  {rbsValidation.issues
+                    .filter((issue) => issue.row === null)
+                    .map((issue, idx) => (
+                      <li key={idx} className={issue.severity === "error" ? "text-red-700" : "text-amber-700"}>
+                        {issue.message}
+                      </li>
+                    ))}
+                </ul>
+              )}
+              {rbsValidation.grammar ? (
+                <div className="text-green-700">
+                  Every symbol is declared and every production is in CNF.
+                  <pre className="mt-2 p-2 bg-white border rounded font-mono text-xs text-gray-800 leading-5">
+                    {formatGrammarText(rbsValidation.grammar)}
+                  </pre>
+                </div>
+              ) : (
+                <div className="text-red-700">
+                  {rbsValidation.issues.filter((issue) => issue.severity === "error").length} error(s) to fix before
+                  parsing.
+                </div>
+              )}
             </div>
 
             <div className="mb-6">
-              <label className="block text-sm font-semibold text-gray-700 mb-2">
-                Enter string to parse:
-              </label>
+              <label className="block text-sm font-semibold text-gray-700 mb-2">Enter string to parse:</label>
               <input
                 type="text"
                 value={input}
@@ -796,41 +3129,45 @@ export default function CYKAlgorithmApp() {
             </div>
 
             <button
-              onClick={() => handleCheckGrammar(true)}
-              disabled={!input || parsing}
+              onClick={handleCheckGrammar}
+              disabled={!input.trim() || !rbsValidation.grammar || parsing}
               className="w-full px-6 py-3 bg-gradient-to-r from-purple-600 to-purple-700 text-white rounded-lg hover:from-purple-700 hover:to-purple-800 transition-all font-semibold shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
             >
-              {parsing ? 'Parsing...' : 'Parse String'}
+              {parsing ? "Parsing..." : "Parse String"}
             </button>
 
-            {result && (
+            {rbsResult && (
               <div className="mt-8 space-y-6">
-                <div className={`p-6 rounded-lg ${result.accepted ? 'bg-green-50 border-2 border-green-300' : 'bg-red-50 border-2 border-red-300'}`}>
+                <div
+                  className={`p-6 rounded-lg ${
+                    rbsResult.accepted ? "bg-green-50 border-2 border-green-300" : "bg-red-50 border-2 border-red-300"
+                  }`}
+                >
                   <div className="flex items-center">
-                    {result.accepted ? (
+                    {rbsResult.accepted ? (
                       <CheckCircle className="w-8 h-8 text-green-600 mr-3" />
                     ) : (
                       <XCircle className="w-8 h-8 text-red-600 mr-3" />
                     )}
                     <div>
-                      <h3 className={`text-xl font-bold ${result.accepted ? 'text-green-900' : 'text-red-900'}`}>
-                        {result.accepted ? 'String Accepted!' : 'String Rejected'}
+                      <h3 className={`text-xl font-bold ${rbsResult.accepted ? "text-green-900" : "text-red-900"}`}>
+                        {rbsResult.accepted ? "String Accepted!" : "String Rejected"}
                       </h3>
-                      <p className={result.accepted ? 'text-green-700' : 'text-red-700'}>
-                        {result.accepted 
-                          ? 'The string belongs to your custom grammar.'
-                          : 'The string does not belong to your custom grammar.'}
+                      <p className={rbsResult.accepted ? "text-green-700" : "text-red-700"}>
+                        {rbsResult.accepted
+                          ? "The string belongs to your custom grammar."
+                          : "The string does not belong to your custom grammar."}
                       </p>
                     </div>
                   </div>
                 </div>
 
-                {renderTable()}
+                {renderTable(null, rbsResult, "rbs")}
 
                 <div className="mt-6 p-4 bg-gray-50 rounded-lg">
                   <h4 className="font-semibold text-gray-800 mb-3">Parsing Steps:</h4>
                   <div className="space-y-2 text-sm text-gray-700 max-h-64 overflow-y-auto">
-                    {result.steps.map((step, idx) => (
+                    {rbsResult.steps.map((step, idx) => (
                       <div key={idx} className="flex items-start">
                         <ArrowRight className="w-4 h-4 mr-2 mt-0.5 text-purple-500 flex-shrink-0" />
                         <span>{step}</span>
@@ -841,7 +3178,7 @@ export default function CYKAlgorithmApp() {
               </div>
             )}
           </div>
-        )} */}
+        )}
 
         {activeTab === "Know" && (
           <div className="bg-white rounded-2xl shadow-xl p-8">
@@ -952,7 +3289,7 @@ export default function CYKAlgorithmApp() {
                   Personal Grammar Checker (with Examples)
                 </h3>
                 <p className="text-gray-700 mb-4">
-                  Use the Personal Grammar Checker to test any CNF-style grammar you
+                  Use the Personal Grammar Checker to test any context-free grammar you
                   provide. Enter production rules in the form "S -&gt; AB | a" and a
                   word, then generate the CYK table to see how the string is parsed.
                 </p>
@@ -1035,8 +3372,8 @@ export default function CYKAlgorithmApp() {
                     <h4 className="font-semibold text-gray-800 mb-2">1) Format</h4>
                     <ul className="list-disc list-inside text-sm text-gray-700 space-y-1">
                       <li>Each rule on a new line, e.g., <span className="font-mono">S -&gt; AB | a</span></li>
-                      <li>CNF only: <span className="font-mono">A -&gt; BC</span> or <span className="font-mono">A -&gt; a</span></li>
-                      <li>Uppercase = variables, lowercase = terminals</li>
+                      <li>Any CFG, e.g. <span className="font-mono">A -&gt; a B c</span> or <span className="font-mono">A -&gt; ε</span>; it is converted to CNF automatically</li>
+                      <li>Uppercase = variables, lowercase = terminals; declare others with <span className="font-mono">%terminals</span> / <span className="font-mono">%nonterminals</span>, or write <span className="font-mono">&lt;Noun Phrase&gt;</span> and <span className="font-mono">"New York"</span></li>
                     </ul>
                   </div>
                   <div className="p-4 bg-gray-50 rounded-lg border">
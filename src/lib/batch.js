@@ -0,0 +1,49 @@
+// Batch testing: many inputs against one grammar, each optionally marked with the
+// expected outcome ("+ ababa" should be accepted, "- abb" should be rejected).
+
+import { parseTokens } from "./cyk.js";
+import { convertToCNF } from "./cnf.js";
+import { parseGrammarFromText } from "./grammar.js";
+import { applyLexicon } from "./lexicon.js";
+import { tokenizeInput } from "./tokenizer.js";
+
+export const parseBatchText = (text) =>
+  text
+    .split("\n")
+    .map((raw, idx) => ({ raw: raw.trim(), line: idx + 1 }))
+    .filter(({ raw }) => raw.length > 0)
+    .map(({ raw, line }) => {
+      const marked = raw.match(/^([+-])\s*(.*)$/);
+      if (!marked) return { line, input: raw, expected: null };
+      return { line, input: marked[2], expected: marked[1] === "+" };
+    });
+
+// `pass` is null for unmarked inputs; `tokenizer` is a split mode or tokenizer settings.
+// With a lexicon, lexical rules for every word in the batch are added before CNF conversion.
+export const runBatch = (grammarText, entries, tokenizer, treeLimit = 50, lexicon = null) => {
+  const parsed = parseGrammarFromText(grammarText);
+  const vocabulary = lexicon ? [...parsed.terminals, ...lexicon.words.keys()] : parsed.terminals;
+  const tokenized = entries.map((entry) => tokenizeInput(entry.input, tokenizer, vocabulary));
+  const { grammar, unknown } = applyLexicon(parsed, tokenized.flat(), lexicon);
+  const cnf = convertToCNF(grammar);
+  return entries.map((entry, idx) => {
+    const tokens = tokenized[idx];
+    const result = {
+      ...parseTokens(cnf, tokens, treeLimit),
+      unknownWords: unknown.filter((w) => tokens.includes(w)),
+    };
+    return {
+      ...entry,
+      tokens,
+      result,
+      pass: entry.expected === null ? null : result.accepted === entry.expected,
+    };
+  });
+};
+
+export const summarizeBatch = (rows) => ({
+  total: rows.length,
+  passed: rows.filter((r) => r.pass === true).length,
+  failed: rows.filter((r) => r.pass === false).length,
+  accepted: rows.filter((r) => r.result.accepted).length,
+});
@@ -0,0 +1,156 @@
+// Empirical complexity: CYK on inputs of increasing length for one grammar, with the work
+// counters from cykWithPointers and least-squares cubic fits of time and operations against n.
+
+import { convertToCNF } from "./cnf.js";
+import { cykWithPointers } from "./cyk.js";
+
+export const BENCHMARK_COUNTERS = {
+  splits: "Splits examined",
+  ruleChecks: "Rule checks",
+  backpointers: "Backpointers stored",
+  cells: "Cells computed",
+};
+
+// Lengths 1..maxLength each nonterminal of a CNF grammar derives: can[len] is a Set of them
+const derivableLengths = (cnf, maxLength) => {
+  const can = Array.from({ length: maxLength + 1 }, () => new Set());
+  const binary = [];
+  Object.keys(cnf.rules).forEach((A) =>
+    cnf.rules[A].forEach((rhs) => {
+      if (rhs.length === 1 && maxLength >= 1) can[1].add(A);
+      else if (rhs.length === 2) binary.push({ A, B: rhs[0], C: rhs[1] });
+    })
+  );
+  for (let len = 2; len <= maxLength; len++) {
+    binary.forEach(({ A, B, C }) => {
+      if (can[len].has(A)) return;
+      for (let k = 1; k < len; k++) {
+        if (can[k].has(B) && can[len - k].has(C)) {
+          can[len].add(A);
+          return;
+        }
+      }
+    });
+  }
+  return can;
+};
+
+// An input of exactly n tokens: a random sentence of the grammar when it has one of that
+// length, otherwise a random string over its terminals. Sentences are built top-down on the CNF
+// grammar with the length as the target, each step choosing uniformly among the rules and
+// splits that can still produce the remaining span, so the work is O(n²·|G|) whatever the
+// grammar's recursion. `can` (from derivableLengths) may be shared across lengths.
+// Returns { tokens, derived }.
+const inputOfLength = (cnf, can, n, random) => {
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  if (n >= 1 && can[n].has(cnf.startSymbol)) {
+    const tokens = [];
+    const expand = (A, len) => {
+      if (len === 1) {
+        tokens.push(pick(cnf.rules[A].filter((rhs) => rhs.length === 1))[0]);
+        return;
+      }
+      const choices = [];
+      cnf.rules[A].forEach((rhs) => {
+        if (rhs.length !== 2) return;
+        for (let k = 1; k < len; k++) {
+          if (can[k].has(rhs[0]) && can[len - k].has(rhs[1])) choices.push({ rhs, k });
+        }
+      });
+      const { rhs, k } = pick(choices);
+      expand(rhs[0], k);
+      expand(rhs[1], len - k);
+    };
+    expand(cnf.startSymbol, n);
+    return { tokens, derived: true };
+  }
+  const alphabet = cnf.terminals.length ? cnf.terminals : ["a"];
+  return { tokens: Array.from({ length: n }, () => pick(alphabet)), derived: false };
+};
+
+// inputOfLength for one grammar and length
+export const benchmarkInput = (grammar, n, { random = Math.random } = {}) => {
+  const cnf = convertToCNF(grammar).grammar;
+  return inputOfLength(cnf, derivableLengths(cnf, n), n, random);
+};
+
+// options: { lengths, repeats (time is the fastest of these runs), random,
+//            onProgress(done, total) after each length }
+// Returns [{ n, derived, accepted, ms, cells, splits, ruleChecks, backpointers }]
+export const runBenchmark = (grammar, options = {}) => {
+  const { lengths = [5, 10, 15, 20, 25, 30], repeats = 3, random = Math.random, onProgress = null } = options;
+  const cnf = convertToCNF(grammar).grammar;
+  const can = derivableLengths(cnf, Math.max(0, ...lengths));
+  return lengths.map((n, idx) => {
+    const { tokens, derived } = inputOfLength(cnf, can, n, random);
+    // One untimed run first, so JIT warm-up does not land in the measurement
+    let r = cykWithPointers(tokens, cnf);
+    let ms = Infinity;
+    for (let rep = 0; rep < Math.max(1, repeats); rep++) {
+      r = cykWithPointers(tokens, cnf);
+      ms = Math.min(ms, r.stats.ms);
+    }
+    if (onProgress) onProgress(idx + 1, lengths.length);
+    return { n, derived, accepted: r.accepted, ...r.stats, ms };
+  });
+};
+
+// Solve the square system A x = b by Gaussian elimination with partial pivoting
+const solve = (A, b) => {
+  const m = A.map((row, i) => [...row, b[i]]);
+  const size = b.length;
+  for (let col = 0; col < size; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < size; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    }
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    if (Math.abs(m[col][col]) < 1e-12) return null;
+    for (let row = 0; row < size; row++) {
+      if (row === col) continue;
+      const f = m[row][col] / m[col][col];
+      for (let c = col; c <= size; c++) m[row][c] -= f * m[col][c];
+    }
+  }
+  return m.map((row, i) => row[size] / row[i]);
+};
+
+// Least-squares y ≈ a·n³ + b·n² + c·n + d over points [{ n, [key] }]. n is scaled to [0, 1]
+// for the fit so the normal equations stay well conditioned. Returns
+// { coefficients: [a, b, c, d], predict(n), r2 } or null with fewer than four distinct lengths.
+export const fitCubic = (points, key) => {
+  if (new Set(points.map((p) => p.n)).size < 4) return null;
+  const scale = Math.max(...points.map((p) => p.n)) || 1;
+  const powers = (n) => [3, 2, 1, 0].map((e) => (n / scale) ** e);
+  const A = [0, 1, 2, 3].map(() => [0, 0, 0, 0]);
+  const b = [0, 0, 0, 0];
+  points.forEach((p) => {
+    const x = powers(p.n);
+    for (let r = 0; r < 4; r++) {
+      b[r] += x[r] * p[key];
+      for (let c = 0; c < 4; c++) A[r][c] += x[r] * x[c];
+    }
+  });
+  const w = solve(A, b);
+  if (!w) return null;
+  const predict = (n) => powers(n).reduce((sum, x, i) => sum + w[i] * x, 0);
+  const mean = points.reduce((s, p) => s + p[key], 0) / points.length;
+  const total = points.reduce((s, p) => s + (p[key] - mean) ** 2, 0);
+  const residual = points.reduce((s, p) => s + (p[key] - predict(p.n)) ** 2, 0);
+  return {
+    coefficients: w.map((c, i) => c / scale ** (3 - i)),
+    predict,
+    r2: total ? 1 - residual / total : 1,
+  };
+};
+
+// e.g. "0.167 n³ + 2.1 n² − 0.5 n + 3"
+export const formatCubic = (coefficients) =>
+  coefficients
+    .map((c, i) => {
+      const value = Number(Math.abs(c).toPrecision(3));
+      const term = ["n³", "n²", "n", ""][i];
+      const sign = c < 0 ? "−" : "+";
+      return i === 0 ? `${c < 0 ? "−" : ""}${value} ${term}` : ` ${sign} ${value}${term ? ` ${term}` : ""}`;
+    })
+    .join("");
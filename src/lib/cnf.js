@@ -0,0 +1,306 @@
+// Chomsky Normal Form conversion with parse-tree mapping back to the original grammar.
+
+// Shapes describe how a production's children rebuild the original parse tree.
+// A template is { slot: i } (the i-th child), { label } (a leaf) or { label, children }.
+const substituteShape = (shape, map) =>
+  shape.flatMap((t) => {
+    if (t.slot !== undefined) return map[t.slot] !== undefined ? map[t.slot] : [t];
+    if (t.children) return [{ label: t.label, children: substituteShape(t.children, map) }];
+    return [t];
+  });
+
+const instantiateShape = (shape, slots) =>
+  shape.flatMap((t) => {
+    if (t.slot !== undefined) return slots[t.slot] || [];
+    if (t.children) return [{ label: t.label, children: instantiateShape(t.children, slots) }];
+    return [{ label: t.label }];
+  });
+
+const productionKey = (A, rhs) => JSON.stringify([A, rhs]);
+
+// Convert an arbitrary CFG to Chomsky Normal Form: START, TERM, BIN, DEL, UNIT.
+// Every production keeps a shape so CNF parse trees can be mapped back to the original rules,
+// and a weight: the product of the original rule probabilities it stands for (1 without a PCFG).
+// DEL and UNIT can turn different original derivations into the same CNF production (S → A and
+// S → B with A → a, B → a both become S → a); each of them stays in the production's variants,
+// and `shapes` maps every production to its variant shapes, highest weight first.
+export const convertToCNF = (grammar) => {
+  const terminals = new Set(grammar.terminals);
+  const taken = new Set([...grammar.variables, ...grammar.terminals]);
+  const fresh = (base) => {
+    let name = base;
+    while (taken.has(name)) name += "'";
+    taken.add(name);
+    return name;
+  };
+  const isTerminal = (sym) => terminals.has(sym) && !rules[sym];
+
+  let start = grammar.startSymbol;
+  let rules = {};
+  Object.keys(grammar.rules).forEach((A) => {
+    rules[A] = grammar.rules[A].map((rhs, idx) => ({
+      rhs: [...rhs],
+      weight: grammar.probabilities ? grammar.probabilities[A][idx] : 1,
+      shape: [
+        {
+          label: A,
+          children: rhs.length ? rhs.map((_, i) => ({ slot: i })) : [{ label: "ε" }],
+        },
+      ],
+    }));
+  });
+
+  // Duplicate right-hand sides keep the highest weight (the first one on ties) as their shape and
+  // every distinct shape as a variant
+  const addProduction = (A, rhs, shape, weight) => {
+    if (!rules[A]) rules[A] = [];
+    const key = rhs.join("\u0000");
+    const existing = rules[A].find((p) => p.rhs.join("\u0000") === key);
+    if (!existing) {
+      rules[A].push({ rhs, shape, weight, variants: [{ shape, weight }] });
+      return;
+    }
+    const shapeKey = JSON.stringify(shape);
+    if (!existing.variants.some((v) => JSON.stringify(v.shape) === shapeKey)) {
+      existing.variants.push({ shape, weight });
+    }
+    if (weight > existing.weight) {
+      existing.shape = shape;
+      existing.weight = weight;
+    }
+  };
+  const toGrammar = () => {
+    const plain = {};
+    const probabilities = {};
+    Object.keys(rules).forEach((A) => {
+      plain[A] = rules[A].map((p) => [...p.rhs]);
+      probabilities[A] = rules[A].map((p) => p.weight);
+    });
+    const result = {
+      variables: Object.keys(rules),
+      terminals: Array.from(terminals),
+      startSymbol: start,
+      rules: plain,
+    };
+    return grammar.probabilities ? { ...result, probabilities } : result;
+  };
+  const stages = [];
+  const snapshot = (name, description) =>
+    stages.push({ name, description, grammar: toGrammar() });
+
+  // START: the start symbol must not appear on any right-hand side
+  const originalStart = start;
+  const startOnRhs = Object.values(rules).some((prods) =>
+    prods.some((p) => p.rhs.includes(start))
+  );
+  if (startOnRhs) {
+    start = fresh(`${originalStart}0`);
+    rules = {
+      [start]: [{ rhs: [originalStart], shape: [{ slot: 0 }], weight: 1 }],
+      ...rules,
+    };
+  }
+  snapshot(
+    "START",
+    startOnRhs
+      ? `Added new start symbol ${start} → ${originalStart}`
+      : "Start symbol never appears on a right-hand side; nothing to do"
+  );
+
+  // TERM: replace terminals inside longer productions with helper nonterminals
+  const termHelpers = {};
+  Object.keys(rules).forEach((A) => {
+    rules[A].forEach((p) => {
+      if (p.rhs.length < 2) return;
+      p.rhs = p.rhs.map((sym) => {
+        if (!isTerminal(sym)) return sym;
+        if (!termHelpers[sym]) termHelpers[sym] = fresh(`T_${sym.replace(/\s+/g, "_")}`);
+        return termHelpers[sym];
+      });
+    });
+  });
+  Object.keys(termHelpers).forEach((a) => {
+    rules[termHelpers[a]] = [{ rhs: [a], shape: [{ slot: 0 }], weight: 1 }];
+  });
+  snapshot(
+    "TERM",
+    Object.keys(termHelpers).length
+      ? `Introduced ${Object.values(termHelpers).join(", ")} for terminals in long productions`
+      : "No terminals inside productions of length two or more"
+  );
+
+  // BIN: split right-hand sides with more than two symbols into chains
+  const binHelpers = [];
+  Object.keys(rules).forEach((A) => {
+    const prods = rules[A];
+    rules[A] = [];
+    prods.forEach((p) => {
+      if (p.rhs.length <= 2) {
+        rules[A].push(p);
+        return;
+      }
+      const k = p.rhs.length;
+      const tail = { 1: [{ slot: 1 }] };
+      for (let s = 2; s < k; s++) tail[s] = [];
+      let lhs = A;
+      let shape = substituteShape(p.shape, tail);
+      for (let i = 0; i < k - 2; i++) {
+        const helper = fresh(`${A}_${binHelpers.length + 1}`);
+        binHelpers.push(helper);
+        if (!rules[lhs]) rules[lhs] = [];
+        rules[lhs].push({ rhs: [p.rhs[i], helper], shape, weight: i === 0 ? p.weight : 1 });
+        lhs = helper;
+        shape = [{ slot: 0 }, { slot: 1 }];
+      }
+      rules[lhs] = [{ rhs: [p.rhs[k - 2], p.rhs[k - 1]], shape, weight: 1 }];
+    });
+  });
+  snapshot(
+    "BIN",
+    binHelpers.length
+      ? `Introduced ${binHelpers.join(", ")} to binarize long productions`
+      : "All productions already have at most two symbols"
+  );
+
+  // DEL: remove ε-productions, adding variants that omit nullable symbols
+  const nullable = new Set();
+  let changed = true;
+  while (changed) {
+    changed = false;
+    Object.keys(rules).forEach((A) => {
+      if (nullable.has(A)) return;
+      if (rules[A].some((p) => p.rhs.every((s) => nullable.has(s)))) {
+        nullable.add(A);
+        changed = true;
+      }
+    });
+  }
+  // The best ε-derivation per nullable symbol, as original-tree nodes
+  const epsTrees = {};
+  const epsWeights = {};
+  changed = true;
+  while (changed) {
+    changed = false;
+    Object.keys(rules).forEach((A) => {
+      if (!nullable.has(A)) return;
+      rules[A].forEach((q) => {
+        if (!q.rhs.every((s) => epsTrees[s])) return;
+        const weight = q.rhs.reduce((w, s) => w * epsWeights[s], q.weight);
+        if (epsTrees[A] && weight <= epsWeights[A]) return;
+        epsTrees[A] = instantiateShape(q.shape, q.rhs.map((s) => epsTrees[s]));
+        epsWeights[A] = weight;
+        changed = true;
+      });
+    });
+  }
+  const withNullable = rules;
+  rules = {};
+  Object.keys(withNullable).forEach((A) => {
+    rules[A] = [];
+    withNullable[A].forEach((p) => {
+      const positions = p.rhs.map((s, i) => (nullable.has(s) ? i : -1)).filter((i) => i >= 0);
+      for (let mask = 0; mask < 1 << positions.length; mask++) {
+        const omitted = new Set(positions.filter((_, b) => mask & (1 << b)));
+        const map = {};
+        const rhs = [];
+        let weight = p.weight;
+        p.rhs.forEach((s, i) => {
+          if (omitted.has(i)) {
+            map[i] = epsTrees[s];
+            weight *= epsWeights[s];
+          } else {
+            map[i] = [{ slot: rhs.length }];
+            rhs.push(s);
+          }
+        });
+        if (rhs.length === 0 && A !== start) continue;
+        addProduction(A, rhs, substituteShape(p.shape, map), weight);
+      }
+    });
+  });
+  snapshot(
+    "DEL",
+    nullable.size
+      ? `Removed ε-productions; nullable symbols: ${Array.from(nullable).join(", ")}`
+      : "No ε-productions"
+  );
+
+  // UNIT: replace A → B by B's productions, following every unit chain that does not repeat a
+  // symbol (a cycle only adds the same derivation again, at no higher weight)
+  const isUnit = (p) => p.rhs.length === 1 && !isTerminal(p.rhs[0]);
+  const withUnits = rules;
+  rules = {};
+  let unitCount = 0;
+  Object.keys(withUnits).forEach((A) => {
+    rules[A] = [];
+    const queue = [];
+    withUnits[A].forEach((p) => {
+      if (isUnit(p)) {
+        unitCount++;
+        p.variants.forEach((v) => queue.push({ sym: p.rhs[0], shape: v.shape, weight: v.weight, path: [A] }));
+      } else {
+        p.variants.forEach((v) => addProduction(A, p.rhs, v.shape, v.weight));
+      }
+    });
+    while (queue.length) {
+      const { sym, shape, weight, path } = queue.shift();
+      if (path.includes(sym)) continue;
+      (withUnits[sym] || []).forEach((q) => {
+        q.variants.forEach((v) => {
+          const composed = substituteShape(shape, { 0: v.shape });
+          if (isUnit(q)) {
+            queue.push({ sym: q.rhs[0], shape: composed, weight: weight * v.weight, path: [...path, sym] });
+          } else {
+            addProduction(A, q.rhs, composed, weight * v.weight);
+          }
+        });
+      });
+    }
+  });
+  snapshot(
+    "UNIT",
+    unitCount ? `Eliminated ${unitCount} unit production(s)` : "No unit productions"
+  );
+
+  const shapes = new Map();
+  Object.keys(rules).forEach((A) => {
+    rules[A].forEach((p) =>
+      shapes.set(
+        productionKey(A, p.rhs),
+        [...p.variants].sort((x, y) => y.weight - x.weight).map((v) => v.shape)
+      )
+    );
+  });
+  return { grammar: toGrammar(), stages, shapes };
+};
+
+// Number of original derivations the CNF production A → rhs stands for
+export const variantCount = (cnf, A, rhs) => {
+  const variants = cnf.shapes.get(productionKey(A, rhs));
+  return variants ? variants.length : 1;
+};
+
+// Map a CNF parse tree back onto the original grammar's rules and symbols. A node's `variant`
+// (default 0, the highest weight) picks which original derivation its production stands for.
+export const mapTreeToOriginal = (cnf, node) => {
+  if (!node) return null;
+  const shapeOf = (A, rhs, variant = 0) => {
+    const variants = cnf.shapes.get(productionKey(A, rhs));
+    return variants
+      ? variants[variant] || variants[0]
+      : [{ label: A, children: rhs.map((_, i) => ({ slot: i })) }];
+  };
+  const decode = (n) => {
+    if (n.child) {
+      return instantiateShape(shapeOf(n.label, [n.child.label], n.variant), [[{ label: n.child.label }]]);
+    }
+    if (n.left && n.right) {
+      return instantiateShape(shapeOf(n.label, [n.left.label, n.right.label], n.variant), [
+        decode(n.left),
+        decode(n.right),
+      ]);
+    }
+    return [{ label: n.label }];
+  };
+  return decode(node)[0] || null;
+};
@@ -0,0 +1,372 @@
+// CYK recognition, parse-tree extraction and the combined text-to-result pipeline.
+
+import { parseGrammarFromText } from "./grammar.js";
+import { convertToCNF, mapTreeToOriginal, variantCount } from "./cnf.js";
+import { applyLexicon } from "./lexicon.js";
+
+// Rule indexes, built once per grammar object: nonterminals numbered for bitset cells, terminal
+// rules by token, and binary rules by left then right symbol. Each rule keeps its position in
+// grammar order so a cell fires rules in the same order as a scan of grammar.rules would.
+const ruleIndexes = new WeakMap();
+const indexRules = (grammar) => {
+  if (ruleIndexes.has(grammar)) return ruleIndexes.get(grammar);
+  const ids = new Map();
+  const idOf = (A) => {
+    if (!ids.has(A)) ids.set(A, ids.size);
+    return ids.get(A);
+  };
+  const byToken = new Map();
+  const byPair = [];
+  let order = 0;
+  Object.keys(grammar.rules).forEach((A) => {
+    grammar.rules[A].forEach((rhs, idx) => {
+      const rule = { A, id: idOf(A), idx, rhs, order: order++ };
+      if (rhs.length === 1) {
+        if (!byToken.has(rhs[0])) byToken.set(rhs[0], []);
+        byToken.get(rhs[0]).push(rule);
+      } else if (rhs.length === 2) {
+        const b = idOf(rhs[0]);
+        const c = idOf(rhs[1]);
+        if (!byPair[b]) byPair[b] = new Map();
+        if (!byPair[b].has(c)) byPair[b].set(c, []);
+        byPair[b].get(c).push(rule);
+      }
+    });
+  });
+  const index = { symbols: ids.size, byToken, byPair };
+  ruleIndexes.set(grammar, index);
+  return index;
+};
+
+// CYK for token arrays with backpointers for parse tree.
+// In probabilistic mode (grammar.probabilities required) `best[i][j]` maps each nonterminal
+// to its best inside probability and the backpointer that achieved it (Viterbi).
+// Cells are tracked as bitsets plus symbol lists, and each split only looks up the rules whose
+// right-hand side pair (B, C) actually occurs in its two source cells. `onProgress(length, n)`
+// is called after each span length is done.
+// `stats` counts the work done: cells computed, splits examined, rule checks (token and (B, C)
+// pair lookups in the rule index), backpointers stored, and elapsed milliseconds.
+export const cykWithPointers = (tokens, grammar, probabilistic = false, onProgress = null) => {
+  const n = tokens.length;
+  const stats = { cells: 0, splits: 0, ruleChecks: 0, backpointers: 0, ms: 0 };
+  if (n === 0) return { accepted: false, table: [], back: [], steps: [], best: null, stats };
+  const started = performance.now();
+  const scored = probabilistic && Boolean(grammar.probabilities);
+  const { symbols, byToken, byPair } = indexRules(grammar);
+  const table = Array(n)
+    .fill(null)
+    .map(() => Array(n).fill(null).map(() => new Set()));
+  const back = Array(n)
+    .fill(null)
+    .map(() => Array(n).fill(null).map(() => new Map()));
+  const best = scored
+    ? Array(n)
+        .fill(null)
+        .map(() => Array(n).fill(null).map(() => new Map()))
+    : null;
+  const keepBest = (i, j, A, p, pointer) => {
+    const current = best[i][j].get(A);
+    if (!current || p > current.p) best[i][j].set(A, { p, pointer });
+  };
+  // Compact cells: one bitset of symbol ids per cell, plus the ids in insertion order
+  const words = Math.ceil(symbols / 32) || 1;
+  const bits = new Uint32Array(n * n * words);
+  const ids = Array.from({ length: n * n }, () => []);
+  const has = (cell, id) => (bits[cell * words + (id >> 5)] & (1 << (id & 31))) !== 0;
+  const fire = (i, j, rule, pointer) => {
+    const cell = i * n + j;
+    if (!has(cell, rule.id)) {
+      bits[cell * words + (rule.id >> 5)] |= 1 << (rule.id & 31);
+      ids[cell].push(rule.id);
+      table[i][j].add(rule.A);
+      back[i][j].set(rule.A, []);
+    }
+    back[i][j].get(rule.A).push(pointer);
+    stats.backpointers++;
+  };
+  // One entry per cell (diagonal) or per split (upper triangle), in fill order, for playback
+  const steps = [];
+
+  // diagonal from terminals
+  for (let i = 0; i < n; i++) {
+    const tok = tokens[i];
+    const fired = [];
+    stats.cells++;
+    stats.ruleChecks++;
+    (byToken.get(tok) || []).forEach((rule) => {
+      const pointer = { type: "terminal", token: tok };
+      fire(i, i, rule, pointer);
+      if (scored) keepBest(i, i, rule.A, grammar.probabilities[rule.A][rule.idx], pointer);
+      fired.push({ A: rule.A, rhs: [tok] });
+    });
+    steps.push({ i, j: i, k: null, fired });
+  }
+  if (onProgress) onProgress(1, n);
+
+  // upper triangle
+  for (let len = 2; len <= n; len++) {
+    for (let i = 0; i <= n - len; i++) {
+      const j = i + len - 1;
+      stats.cells++;
+      for (let k = i; k < j; k++) {
+        const right = (k + 1) * n + j;
+        const matches = [];
+        stats.splits++;
+        ids[i * n + k].forEach((b) => {
+          stats.ruleChecks++;
+          const byRight = byPair[b];
+          if (!byRight) return;
+          // Walk whichever is shorter: the rules starting with B or the symbols of the right cell
+          if (byRight.size <= ids[right].length) {
+            stats.ruleChecks += byRight.size;
+            byRight.forEach((rules, c) => {
+              if (has(right, c)) matches.push(...rules);
+            });
+          } else {
+            stats.ruleChecks += ids[right].length;
+            ids[right].forEach((c) => {
+              if (byRight.has(c)) matches.push(...byRight.get(c));
+            });
+          }
+        });
+        matches.sort((x, y) => x.order - y.order);
+        const fired = [];
+        matches.forEach((rule) => {
+          const [B, C] = rule.rhs;
+          const pointer = { type: "binary", left: B, right: C, split: k };
+          fire(i, j, rule, pointer);
+          if (scored) {
+            const p =
+              grammar.probabilities[rule.A][rule.idx] *
+              best[i][k].get(B).p *
+              best[k + 1][j].get(C).p;
+            keepBest(i, j, rule.A, p, pointer);
+          }
+          fired.push({ A: rule.A, rhs: [B, C] });
+        });
+        steps.push({ i, j, k, fired });
+      }
+    }
+    if (onProgress) onProgress(len, n);
+  }
+
+  stats.ms = performance.now() - started;
+  return { accepted: table[0][n - 1].has(grammar.startSymbol), table, back, steps, best, stats };
+};
+
+// Most likely parse: follow the Viterbi backpointers from the start symbol
+export const buildViterbiTree = (grammar, tokens, best) => {
+  const n = tokens.length;
+  const S = grammar.startSymbol;
+  if (!n || !best || !best[0][n - 1].has(S)) return null;
+  const choose = (A, i, j) => {
+    const { pointer } = best[i][j].get(A);
+    if (pointer.type === "terminal") return { label: A, child: { label: pointer.token } };
+    const left = choose(pointer.left, i, pointer.split);
+    const right = choose(pointer.right, pointer.split + 1, j);
+    return { label: A, left, right };
+  };
+  return choose(S, 0, n - 1);
+};
+
+export const buildParseTree = (grammar, tokens, back) => {
+  const n = tokens.length;
+  const S = grammar.startSymbol;
+  if (!n || !back || !back[0][n - 1].has(S)) return null;
+  const choose = (A, i, j) => {
+    const choices = back[i][j].get(A);
+    if (!choices || choices.length === 0) return { label: A };
+    const first = choices[0];
+    if (first.type === "terminal") return { label: A, child: { label: first.token } };
+    const left = choose(first.left, i, first.split);
+    const right = choose(first.right, first.split + 1, j);
+    return { label: A, left, right };
+  };
+  return choose(S, 0, n - 1);
+};
+
+// Number of distinct parse trees for the whole input (every backpointer combination).
+// `variants(A, rhs)` is how many original derivations a CNF production stands for (see
+// variantCount in cnf.js); each of them counts as its own tree.
+export const countParseTrees = (grammar, tokens, back, variants = () => 1) => {
+  const n = tokens.length;
+  const S = grammar.startSymbol;
+  if (!n || !back || !back[0][n - 1].has(S)) return 0;
+  const memo = new Map();
+  const count = (A, i, j) => {
+    const key = `${A}|${i}|${j}`;
+    if (memo.has(key)) return memo.get(key);
+    const total = (back[i][j].get(A) || []).reduce(
+      (sum, c) =>
+        c.type === "terminal"
+          ? sum + variants(A, [c.token])
+          : sum + variants(A, [c.left, c.right]) * count(c.left, i, c.split) * count(c.right, c.split + 1, j),
+      0
+    );
+    memo.set(key, total);
+    return total;
+  };
+  return count(S, 0, n - 1);
+};
+
+// Every parse tree, in backpointer order, stopping after `limit` trees. Productions with several
+// `variants` yield one tree per variant, told apart by the nodes' `variant` index.
+export const enumerateParseTrees = (grammar, tokens, back, limit, variants = () => 1) => {
+  const n = tokens.length;
+  const S = grammar.startSymbol;
+  if (!n || !back || !back[0][n - 1].has(S)) return [];
+  const memo = new Map();
+  const expand = (A, i, j) => {
+    const key = `${A}|${i}|${j}`;
+    if (memo.has(key)) return memo.get(key);
+    const trees = [];
+    memo.set(key, trees);
+    for (const c of back[i][j].get(A) || []) {
+      if (c.type === "terminal") {
+        const m = variants(A, [c.token]);
+        for (let variant = 0; variant < m && trees.length < limit; variant++) {
+          trees.push({ label: A, child: { label: c.token }, variant });
+        }
+      } else {
+        const m = variants(A, [c.left, c.right]);
+        const lefts = expand(c.left, i, c.split);
+        const rights = expand(c.right, c.split + 1, j);
+        for (let variant = 0; variant < m; variant++) {
+          for (const left of lefts) {
+            for (const right of rights) {
+              if (trees.length >= limit) break;
+              trees.push({ label: A, left, right, variant });
+            }
+          }
+        }
+      }
+      if (trees.length >= limit) break;
+    }
+    return trees;
+  };
+  return expand(S, 0, n - 1);
+};
+
+// Split an input into tokens: PGC style (words), per character (chars), or Simulator style
+// (auto: characters unless the input contains a space)
+export const tokenize = (text, mode = "words") => {
+  const trimmed = text.trim();
+  if (!trimmed) return [];
+  if (mode === "chars" || (mode === "auto" && !trimmed.includes(" "))) return trimmed.split("");
+  return trimmed.split(/\s+/);
+};
+
+// Parse the textarea grammar and convert it to CNF (reusable across many inputs)
+export const prepareGrammar = (grammarText) => convertToCNF(parseGrammarFromText(grammarText));
+
+// Convert the textarea grammar to CNF, run CYK and map the tree back to the user's rules.
+// At most `treeLimit` parse trees are enumerated for ambiguous input. An optional lexicon
+// ({ words, wildcard }, see lexicon.js) supplies the preterminals that fill the diagonal for
+// the input words; `unknownWords` lists words found in neither the grammar nor the lexicon.
+export const runCyk = (grammarText, tokens, treeLimit = 50, lexicon = null, onProgress = null) => {
+  const { grammar, unknown } = applyLexicon(parseGrammarFromText(grammarText), tokens, lexicon);
+  return { ...parseTokens(convertToCNF(grammar), tokens, treeLimit, onProgress), unknownWords: unknown };
+};
+
+// Same as runCyk for a grammar already prepared with prepareGrammar
+export const parseTokens = (cnf, tokens, treeLimit = 50, onProgress = null) => {
+  const probabilistic = Boolean(cnf.grammar.probabilities);
+  const cr = cykWithPointers(tokens, cnf.grammar, probabilistic, onProgress);
+  const tree = cr.accepted
+    ? mapTreeToOriginal(cnf, buildParseTree(cnf.grammar, tokens, cr.back))
+    : null;
+  const viterbi =
+    probabilistic && cr.accepted
+      ? {
+          tree: mapTreeToOriginal(cnf, buildViterbiTree(cnf.grammar, tokens, cr.best)),
+          probability: cr.best[0][tokens.length - 1].get(cnf.grammar.startSymbol).p,
+        }
+      : null;
+  return withParseTrees(
+    {
+      accepted: cr.accepted,
+      table: cr.table,
+      back: cr.back,
+      steps: [],
+      fillSteps: cr.steps,
+      best: cr.best,
+      stats: cr.stats,
+      viterbi,
+      tokens,
+      tree,
+      cnf,
+      cnfStages: cnf.stages,
+    },
+    treeLimit
+  );
+};
+
+// Attach up to `limit` distinct parse trees (mapped to the user's rules) and the total count
+export const withParseTrees = (r, limit) => {
+  if (!r.accepted || !r.back || !r.cnf) return { ...r, trees: [], treeCount: 0 };
+  const variants = (A, rhs) => variantCount(r.cnf, A, rhs);
+  const seen = new Set();
+  const trees = enumerateParseTrees(r.cnf.grammar, r.tokens, r.back, limit, variants)
+    .map((t) => mapTreeToOriginal(r.cnf, t))
+    .filter((t) => {
+      const key = JSON.stringify(t);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  return {
+    ...r,
+    trees,
+    treeCount: countParseTrees(r.cnf.grammar, r.tokens, r.back, variants),
+  };
+};
+
+// Table contents after replaying fill steps 0..upTo
+export const replayFillSteps = (n, fillSteps, upTo) => {
+  const table = Array(n)
+    .fill(null)
+    .map(() => Array(n).fill(null).map(() => new Set()));
+  fillSteps.slice(0, upTo + 1).forEach(({ i, j, fired }) => {
+    fired.forEach(({ A }) => table[i][j].add(A));
+  });
+  return table;
+};
+
+export const describeFillStep = (step, tokens) => {
+  const { i, j, k, fired } = step;
+  if (k === null) {
+    return fired.length
+      ? `Cell[${i}][${i}]: '${tokens[i]}' can be derived from ${fired
+          .map(({ A }) => `${A} → ${tokens[i]}`)
+          .join(", ")}`
+      : `Cell[${i}][${i}]: no rule derives '${tokens[i]}'`;
+  }
+  const sources = `[${i}][${k}] and [${k + 1}][${j}]`;
+  return fired.length
+    ? `Cell[${i}][${j}], k = ${k}: ${fired
+        .map(({ A, rhs }) => `${A} → ${rhs.join(" ")}`)
+        .join(", ")} (from ${sources})`
+    : `Cell[${i}][${j}], k = ${k}: no rule combines ${sources}`;
+};
+
+// Everything recorded for one cell, for the cell inspector: the substring it covers and, per
+// nonterminal in table order, each rule/split that put it there. Binary derivations name their
+// source cells; in a PCFG the pointer kept by the Viterbi pass is flagged `best`.
+export const inspectCell = (r, i, j) => {
+  const scores = r.best ? r.best[i][j] : null;
+  return {
+    i,
+    j,
+    substring: r.tokens.slice(i, j + 1),
+    entries: Array.from(r.table[i][j]).map((A) => ({
+      symbol: A,
+      probability: scores && scores.has(A) ? scores.get(A).p : null,
+      derivations: (r.back[i][j].get(A) || []).map((pointer) => ({
+        rule: `${A} → ${pointer.type === "terminal" ? pointer.token : `${pointer.left} ${pointer.right}`}`,
+        left: pointer.type === "binary" ? { i, j: pointer.split, symbol: pointer.left } : null,
+        right: pointer.type === "binary" ? { i: pointer.split + 1, j, symbol: pointer.right } : null,
+        best: Boolean(scores && scores.has(A) && scores.get(A).pointer === pointer),
+      })),
+    })),
+  };
+};
@@ -0,0 +1,38 @@
+// Parse tree counts, checked against the original grammar rather than its CNF conversion.
+// Run with `npm test` (node's built-in test runner).
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runCyk, tokenize } from "./cyk.js";
+import { formatBracketedTree } from "./tree.js";
+
+const parse = (grammarText, input) => {
+  const r = runCyk(grammarText, tokenize(input), 50);
+  return { count: r.treeCount, trees: r.trees.map(formatBracketedTree).sort() };
+};
+
+test("unit productions to the same terminal are separate trees", () => {
+  assert.deepEqual(parse("S -> A | B\nA -> a\nB -> a", "a"), {
+    count: 2,
+    trees: ["(S (A a))", "(S (B a))"],
+  });
+});
+
+test("unit chains meeting at one symbol are separate trees", () => {
+  assert.deepEqual(parse("S -> A | B\nA -> C\nB -> C\nC -> a", "a"), {
+    count: 2,
+    trees: ["(S (A (C a)))", "(S (B (C a)))"],
+  });
+});
+
+test("either nullable symbol may derive ε", () => {
+  assert.deepEqual(parse("S -> A A\nA -> a | ε", "a"), {
+    count: 2,
+    trees: ["(S (A a) (A ε))", "(S (A ε) (A a))"],
+  });
+});
+
+test("binary ambiguity is still counted once per bracketing", () => {
+  assert.equal(parse("S -> S S | a", "a a a").count, 2);
+  assert.equal(parse("S -> a S | a", "a a a").count, 1);
+});
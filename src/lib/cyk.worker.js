@@ -0,0 +1,13 @@
+// Web Worker entry for the jobs in engine.js: runs one parse or benchmark and posts its progress
+// and result (tables, backpointers and trees survive structured cloning as Sets, Maps and objects).
+
+import { runJob } from "./engine.js";
+
+self.onmessage = (e) => {
+  try {
+    const result = runJob(e.data, (...args) => self.postMessage({ type: "progress", args }));
+    self.postMessage({ type: "result", result });
+  } catch (err) {
+    self.postMessage({ type: "error", message: err.message });
+  }
+};
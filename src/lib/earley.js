@@ -0,0 +1,93 @@
+// Earley parser over the grammar as written (no CNF conversion): long right-hand sides, unit
+// rules and ε productions are handled directly. The chart keeps, per input position, every item
+// A → α • β with its origin and the operation that added it (start, predict, scan, complete),
+// so it can be shown next to the CYK table for the same input. Probabilities are ignored.
+
+import { parseGrammarFromText } from "./grammar.js";
+import { applyLexicon } from "./lexicon.js";
+
+const SEP = "\u0000";
+const itemKey = (item) => [item.lhs, item.ruleIndex, item.dot, item.origin].join(SEP);
+
+// Each nullable nonterminal with one (smallest first found) tree deriving ε
+const nullableTrees = (grammar) => {
+  const trees = new Map();
+  for (let changed = true; changed; ) {
+    changed = false;
+    Object.keys(grammar.rules).forEach((A) => {
+      if (trees.has(A)) return;
+      const rhs = grammar.rules[A].find((r) => r.every((s) => trees.has(s)));
+      if (!rhs) return;
+      trees.set(A, { label: A, children: rhs.length ? rhs.map((s) => trees.get(s)) : [{ label: "ε" }] });
+      changed = true;
+    });
+  }
+  return trees;
+};
+
+// Items link to the item they advanced (`prev`) and what they advanced over (`child`): a tree
+// node for a scanned token or a nullable shortcut, or the completed item for a nonterminal.
+const advance = (item, child, op) => ({ ...item, dot: item.dot + 1, op, prev: item, child });
+
+const buildTree = (item) => {
+  const children = [];
+  for (let it = item; it.prev; it = it.prev) {
+    children.unshift(it.child.rhs ? buildTree(it.child) : it.child);
+  }
+  return { label: item.lhs, children: children.length ? children : [{ label: "ε" }] };
+};
+
+// Returns { accepted, tokens, startSymbol, chart: [[item, ...] per position 0..n], tree } where
+// items are { lhs, rhs, ruleIndex, dot, origin, op } and tree is in the { label, children } form
+// of mapped CYK trees (the first derivation found when the input is ambiguous).
+export const earleyParse = (grammar, tokens) => {
+  const n = tokens.length;
+  const S = grammar.startSymbol;
+  const nullable = nullableTrees(grammar);
+  const chart = Array.from({ length: n + 1 }, () => []);
+  const seen = Array.from({ length: n + 1 }, () => new Set());
+  const add = (k, item) => {
+    const key = itemKey(item);
+    if (seen[k].has(key)) return;
+    seen[k].add(key);
+    chart[k].push(item);
+  };
+  const predict = (A, k, op) =>
+    (grammar.rules[A] || []).forEach((rhs, ruleIndex) =>
+      add(k, { lhs: A, rhs, ruleIndex, dot: 0, origin: k, op, prev: null, child: null })
+    );
+
+  predict(S, 0, "start");
+  for (let k = 0; k <= n; k++) {
+    // chart[k] grows while it is processed
+    for (let x = 0; x < chart[k].length; x++) {
+      const item = chart[k][x];
+      const next = item.rhs[item.dot];
+      if (item.dot === item.rhs.length) {
+        chart[item.origin].forEach((waiting) => {
+          if (waiting.rhs[waiting.dot] === item.lhs) add(k, advance(waiting, item, "complete"));
+        });
+      } else if (grammar.rules[next]) {
+        predict(next, k, "predict");
+        // Items predicted later cannot see completions of ε-deriving nonterminals already done
+        // at this position, so nullable symbols are stepped over right away (Aycock–Horspool)
+        if (nullable.has(next)) add(k, advance(item, nullable.get(next), "complete"));
+      } else if (k < n && next === tokens[k]) {
+        add(k + 1, advance(item, { label: tokens[k] }, "scan"));
+      }
+    }
+  }
+
+  const final = chart[n].find((it) => it.lhs === S && it.origin === 0 && it.dot === it.rhs.length);
+  return { accepted: Boolean(final), tokens, startSymbol: S, chart, tree: final ? buildTree(final) : null };
+};
+
+// A → α • β
+export const formatEarleyItem = (item) =>
+  `${item.lhs} → ${[...item.rhs.slice(0, item.dot), "•", ...item.rhs.slice(item.dot)].join(" ")}`;
+
+// Same inputs as runCyk; the lexicon adds lexical rules for the input words before parsing
+export const runEarley = (grammarText, tokens, lexicon = null) => {
+  const { grammar } = applyLexicon(parseGrammarFromText(grammarText), tokens, lexicon);
+  return earleyParse(grammar, tokens);
+};
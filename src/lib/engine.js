@@ -0,0 +1,90 @@
+// Background jobs for the Simulator and PGC tabs: the full parse pipeline for one input (CYK
+// with parse trees, the Earley chart, and recovery for rejected sentences) and the complexity
+// benchmark. Jobs run in a Web Worker when one is available, so long runs do not freeze the
+// page and can be cancelled, and report their progress as they go.
+
+import { runBenchmark } from "./benchmark.js";
+import { runCyk } from "./cyk.js";
+import { runEarley } from "./earley.js";
+import { analyzeRejection } from "./repair.js";
+
+// options: { treeLimit, lexicon, recovery (analyze rejected input), onProgress(length, n) }
+export const parseInput = (grammarText, tokens, options = {}) => {
+  const { treeLimit = 50, lexicon = null, recovery = false, onProgress = null } = options;
+  const r = {
+    ...runCyk(grammarText, tokens, treeLimit, lexicon, onProgress),
+    earley: runEarley(grammarText, tokens, lexicon),
+  };
+  return recovery && !r.accepted ? { ...r, recovery: analyzeRejection(grammarText, r) } : r;
+};
+
+// Runs one job message ({ kind: "parse", grammarText, tokens, options } or
+// { kind: "benchmark", grammar, options }); shared by the worker and the main-thread fallback
+export const runJob = (job, onProgress = null) => {
+  if (job.kind === "benchmark") return runBenchmark(job.grammar, { ...job.options, onProgress });
+  return parseInput(job.grammarText, job.tokens, { ...job.options, onProgress });
+};
+
+// Start a job in a worker, or after a short timeout on the main thread where workers are
+// unavailable. Returns { promise, cancel }: the promise resolves to the result, or to null once
+// cancel() has been called (which terminates the worker).
+const startJob = (job, onProgress) => {
+  if (typeof Worker === "undefined") {
+    let timer;
+    let settle;
+    const promise = new Promise((resolve, reject) => {
+      settle = resolve;
+      timer = setTimeout(() => {
+        try {
+          resolve(runJob(job, onProgress));
+        } catch (err) {
+          reject(err);
+        }
+      }, 50);
+    });
+    return {
+      promise,
+      cancel: () => {
+        clearTimeout(timer);
+        settle(null);
+      },
+    };
+  }
+
+  const worker = new Worker(new URL("./cyk.worker.js", import.meta.url), { type: "module" });
+  let settle;
+  const promise = new Promise((resolve, reject) => {
+    settle = resolve;
+    worker.onmessage = (e) => {
+      const message = e.data;
+      if (message.type === "progress") {
+        if (onProgress) onProgress(...message.args);
+        return;
+      }
+      worker.terminate();
+      if (message.type === "result") resolve(message.result);
+      else reject(new Error(message.message));
+    };
+    worker.onerror = (e) => {
+      worker.terminate();
+      reject(new Error(e.message || "The parser worker failed"));
+    };
+  });
+  worker.postMessage(job);
+  return {
+    promise,
+    cancel: () => {
+      worker.terminate();
+      settle(null);
+    },
+  };
+};
+
+// parseInput as a job; onProgress(length, n) per finished span length
+export const startParseJob = (grammarText, tokens, options = {}, onProgress = null) =>
+  startJob({ kind: "parse", grammarText, tokens, options }, onProgress);
+
+// runBenchmark as a job (options without `random`, which cannot be sent to a worker);
+// onProgress(done, total) per finished input length
+export const startBenchmarkJob = (grammar, options = {}, onProgress = null) =>
+  startJob({ kind: "benchmark", grammar, options }, onProgress);
@@ -0,0 +1,108 @@
+// Grammar comparison for grading: strings accepted by one grammar and not the other.
+// Every string up to `maxLength` is covered by enumerating both languages (rather than every
+// string over the alphabet); longer strings are sampled from random derivations of each grammar.
+// A difference proves the grammars are not equivalent; agreement is evidence only, since
+// equivalence of context-free grammars is undecidable in general.
+
+import { parseGrammarFromText } from "./grammar.js";
+import { convertToCNF } from "./cnf.js";
+import { cykWithPointers } from "./cyk.js";
+import { enumerateLanguage, randomDerivation } from "./generate.js";
+
+const SEP = "\u0000";
+
+const byLengthThenText = (a, b) => a.length - b.length || a.join(" ").localeCompare(b.join(" "));
+
+// options: { maxLength, samples (random derivations per grammar), depth (their depth limit),
+//            maxSampleLength, limit (strings listed per nonterminal and length), random }
+// Returns {
+//   alphabet, truncated,
+//   byLength: [{ length, total, both, onlyA, onlyB, neither }]  (neither is null if truncated)
+//   sampled: { checked, disagreements },
+//   counterexamples: [{ tokens, acceptedBy: "A" | "B" }] shortest first
+// }
+export const compareGrammars = (textA, textB, options = {}) => {
+  const {
+    maxLength = 6,
+    samples = 200,
+    depth = 10,
+    maxSampleLength = 20,
+    limit = 2000,
+    random = Math.random,
+  } = options;
+  const grammars = [parseGrammarFromText(textA), parseGrammarFromText(textB)];
+  const cnfs = grammars.map((g) => convertToCNF(g).grammar);
+  const accepts = (which, tokens) =>
+    tokens.length === 0
+      ? (cnfs[which].rules[cnfs[which].startSymbol] || []).some((rhs) => rhs.length === 0)
+      : cykWithPointers(tokens, cnfs[which]).accepted;
+  const alphabet = Array.from(new Set([...grammars[0].terminals, ...grammars[1].terminals]));
+
+  const counterexamples = new Map();
+  const note = (tokens, acceptedBy) => {
+    const key = tokens.join(SEP);
+    if (!counterexamples.has(key)) counterexamples.set(key, { tokens, acceptedBy });
+  };
+
+  // Exhaustive part: strings of each language, checked against the other grammar
+  const languages = grammars.map((g) => enumerateLanguage(g, maxLength, limit));
+  const truncated = languages.some((l) => l.truncated);
+  const byLength = [];
+  for (let len = 0; len <= maxLength; len++) {
+    const inA = new Set(languages[0].byLength[len].map((t) => t.join(SEP)));
+    const inB = new Set(languages[1].byLength[len].map((t) => t.join(SEP)));
+    let both = 0;
+    let onlyA = 0;
+    let onlyB = 0;
+    languages[0].byLength[len].forEach((tokens) => {
+      if (inB.has(tokens.join(SEP)) || accepts(1, tokens)) both++;
+      else {
+        onlyA++;
+        note(tokens, "A");
+      }
+    });
+    languages[1].byLength[len].forEach((tokens) => {
+      if (inA.has(tokens.join(SEP))) return;
+      if (accepts(0, tokens)) both++;
+      else {
+        onlyB++;
+        note(tokens, "B");
+      }
+    });
+    const total = alphabet.length ** len;
+    byLength.push({
+      length: len,
+      total,
+      both,
+      onlyA,
+      onlyB,
+      neither: truncated ? null : total - both - onlyA - onlyB,
+    });
+  }
+
+  // Sampled part: longer sentences derived by each grammar, checked against the other
+  let checked = 0;
+  let disagreements = 0;
+  [0, 1].forEach((which) => {
+    for (let s = 0; s < samples; s++) {
+      const d = randomDerivation(grammars[which], depth, random, { maxTokens: maxSampleLength });
+      if (!d) continue;
+      if (d.tokens.length <= maxLength || d.tokens.length > maxSampleLength) continue;
+      checked++;
+      if (!accepts(1 - which, d.tokens)) {
+        disagreements++;
+        note(d.tokens, which === 0 ? "A" : "B");
+      }
+    }
+  });
+
+  return {
+    alphabet,
+    truncated,
+    byLength,
+    sampled: { checked, disagreements },
+    counterexamples: Array.from(counterexamples.values()).sort((a, b) =>
+      byLengthThenText(a.tokens, b.tokens)
+    ),
+  };
+};
@@ -0,0 +1,129 @@
+// Fill-in-the-table exercises: a grammar and a word, the student's set of nonterminals per
+// cell, and grading against the real CYK table with a hint for every missing or extra symbol.
+
+import { parseGrammarFromText } from "./grammar.js";
+import { randomDerivation, minimumDerivationDepth } from "./generate.js";
+
+// Built-in grammars exercises are drawn from (all already in CNF, so the table has no helpers)
+export const EXERCISE_GRAMMARS = [
+  {
+    name: "Textbook (Simulator example)",
+    text: "S -> AB | BC\nA -> BA | a\nB -> CC | b\nC -> AB | a",
+  },
+  {
+    name: "ab or ba (Know tab example)",
+    text: "S -> AB | BA\nA -> a\nB -> b",
+  },
+  {
+    name: "Equal a's then b's",
+    text: "S -> AT | AB\nT -> XB\nX -> AT | AB\nA -> a\nB -> b",
+  },
+  {
+    name: "Balanced parentheses",
+    text: 'S -> PP | LR | LT\nP -> PP | LR | LT\nT -> PR\nL -> "("\nR -> ")"',
+  },
+  {
+    name: "Noun phrases (PGC example)",
+    text: 'S -> NP VP\nNP -> Det N\nVP -> V NP\nDet -> "the" | "a"\nN -> "cat" | "dog"\nV -> "chased"',
+  },
+];
+
+// A word of minLength..maxLength tokens for the grammar text (or the longest shorter one found,
+// for grammars with only short sentences). Most are sentences of the grammar; with probability
+// `rejectRate` one token is replaced so the word is likely rejected.
+// Returns { tokens } or null when the grammar derives no non-empty word of at most maxLength.
+export const generateExerciseWord = (grammarText, options = {}) => {
+  const { minLength = 3, maxLength = 6, rejectRate = 0.3, attempts = 300, random = Math.random } = options;
+  const grammar = parseGrammarFromText(grammarText);
+  const minDepth = minimumDerivationDepth(grammar);
+  if (minDepth === null) return null;
+  let word = null;
+  for (let a = 0; a < attempts && !(word && word.length >= minLength); a++) {
+    const d = randomDerivation(grammar, minDepth + 2 * maxLength, random);
+    if (!d || !d.tokens.length || d.tokens.length > maxLength) continue;
+    if (!word || d.tokens.length > word.length) word = d.tokens;
+  }
+  if (!word) return null;
+  const tokens = [...word];
+  const alphabet = grammar.terminals;
+  if (alphabet.length > 1 && random() < rejectRate) {
+    const at = Math.floor(random() * tokens.length);
+    const others = alphabet.filter((t) => t !== tokens[at]);
+    tokens[at] = others[Math.floor(random() * others.length)];
+  }
+  return { tokens };
+};
+
+// "A, B" / "{A B}" / "-" / "∅" / "" -> ["A", "B"] or []
+export const parseCellAnswer = (text) =>
+  Array.from(new Set(text.split(/[\s,{}]+/).filter((s) => s && s !== "-" && s !== "∅")));
+
+// Why a symbol belongs in cell [i][j]: its first rule and split in the CYK backpointers
+const missingHint = (r, i, j, A) => {
+  const pointer = r.back[i][j].get(A)[0];
+  if (pointer.type === "terminal") return `${A} is missing: ${A} → ${pointer.token} derives '${pointer.token}'`;
+  return `${A} is missing: ${A} → ${pointer.left} ${pointer.right} with split k = ${pointer.split}, since ${
+    pointer.left
+  } is in [${i}][${pointer.split}] and ${pointer.right} is in [${pointer.split + 1}][${j}]`;
+};
+
+// Why a symbol does not belong: no terminal rule, or no split has both halves of any rule
+const extraHint = (r, i, j, A) => {
+  const grammar = r.cnf.grammar;
+  const rules = grammar.rules[A];
+  if (!rules) return `${A} is not a nonterminal of the (CNF) grammar`;
+  if (i === j) return `${A} is extra: there is no rule ${A} → ${r.tokens[i]}`;
+  const binary = rules.filter((rhs) => rhs.length === 2);
+  if (!binary.length) return `${A} is extra: ${A} has no rule with two nonterminals, so it only appears on the diagonal`;
+  // Point at a split where one half is right, which is the usual slip
+  for (let k = i; k < j; k++) {
+    for (const [B, C] of binary) {
+      const left = r.table[i][k].has(B);
+      const right = r.table[k + 1][j].has(C);
+      if (left !== right) {
+        return `${A} is extra: for ${A} → ${B} ${C} at split k = ${k}, ${
+          left ? `${B} is in [${i}][${k}] but ${C} is not in [${k + 1}][${j}]` : `${C} is in [${k + 1}][${j}] but ${B} is not in [${i}][${k}]`
+        }`;
+      }
+    }
+  }
+  return `${A} is extra: no split of [${i}][${j}] has both halves of any rule ${A} → B C`;
+};
+
+// answers[i][j] is the text typed for cell [i][j] (j >= i). Returns {
+//   cells: [[{ expected, given, missing: [{ symbol, hint }], extra: [{ symbol, hint }], correct } | null]],
+//   correctCells, totalCells, acceptance: { expected, given, correct } (given may be null), score
+// } where score counts correct cells plus the accept/reject answer.
+export const gradeExercise = (r, answers, acceptedAnswer = null) => {
+  const n = r.tokens.length;
+  let correctCells = 0;
+  const cells = r.table.map((row, i) =>
+    row.map((cell, j) => {
+      if (j < i) return null;
+      const given = parseCellAnswer((answers[i] && answers[i][j]) || "");
+      const expected = Array.from(cell);
+      const missing = expected
+        .filter((A) => !given.includes(A))
+        .map((A) => ({ symbol: A, hint: missingHint(r, i, j, A) }));
+      const extra = given
+        .filter((A) => !cell.has(A))
+        .map((A) => ({ symbol: A, hint: extraHint(r, i, j, A) }));
+      const correct = !missing.length && !extra.length;
+      if (correct) correctCells++;
+      return { expected, given, missing, extra, correct };
+    })
+  );
+  const totalCells = (n * (n + 1)) / 2;
+  const acceptance = {
+    expected: r.accepted,
+    given: acceptedAnswer,
+    correct: acceptedAnswer === r.accepted,
+  };
+  return {
+    cells,
+    correctCells,
+    totalCells,
+    acceptance,
+    score: { points: correctCells + (acceptance.correct ? 1 : 0), total: totalCells + 1 },
+  };
+};
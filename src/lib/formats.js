@@ -0,0 +1,386 @@
+// Import and export of grammars in standard notations: JSON (the internal grammar object),
+// BNF, EBNF and NLTK's CFG.fromstring / PCFG.fromstring. Imported grammars are shown in the
+// textareas in the usual arrow syntax (see formatGrammarText).
+
+import { diagnoseGrammarText, formatGrammarText, parseGrammarFromText } from "./grammar.js";
+
+export const GRAMMAR_FORMATS = {
+  text: { label: "Arrow text", extension: "txt", mime: "text/plain" },
+  json: { label: "JSON", extension: "json", mime: "application/json" },
+  bnf: { label: "BNF", extension: "bnf", mime: "text/plain" },
+  ebnf: { label: "EBNF", extension: "ebnf", mime: "text/plain" },
+  nltk: { label: "NLTK CFG", extension: "cfg", mime: "text/plain" },
+};
+
+const isTerminalOf = (grammar) => {
+  const terminals = new Set(grammar.terminals);
+  return (sym) => terminals.has(sym) && !grammar.rules[sym];
+};
+
+// Assemble a grammar object from ordered productions [{ lhs, rhs: [{ sym, terminal }], prob }]
+const buildGrammar = (productions, startSymbol) => {
+  const rules = {};
+  const probabilities = {};
+  const variables = new Set();
+  const terminals = new Set();
+  productions.forEach(({ lhs }) => variables.add(lhs));
+  productions.forEach(({ lhs, rhs, prob }) => {
+    if (!rules[lhs]) {
+      rules[lhs] = [];
+      probabilities[lhs] = [];
+    }
+    rhs.forEach(({ sym, terminal }) => (terminal ? terminals.add(sym) : variables.add(sym)));
+    rules[lhs].push(rhs.map((s) => s.sym));
+    probabilities[lhs].push(prob === undefined ? null : prob);
+  });
+  const grammar = {
+    variables: Array.from(variables),
+    terminals: Array.from(terminals),
+    startSymbol: startSymbol || (productions[0] && productions[0].lhs) || "S",
+    rules,
+  };
+  if (!productions.some((p) => p.prob !== undefined)) return grammar;
+  Object.keys(probabilities).forEach((A) => {
+    probabilities[A] = probabilities[A].map((p) => (p === null ? 0 : p));
+  });
+  return { ...grammar, probabilities };
+};
+
+// ---------- JSON ----------
+
+const exportJson = (grammar) => {
+  const { variables, terminals, startSymbol, rules, probabilities } = grammar;
+  return JSON.stringify(
+    probabilities
+      ? { variables, terminals, startSymbol, rules, probabilities }
+      : { variables, terminals, startSymbol, rules },
+    null,
+    2
+  );
+};
+
+const importJson = (content) => {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (err) {
+    throw new Error(`Invalid JSON: ${err.message}`);
+  }
+  if (!data || typeof data.rules !== "object" || Array.isArray(data.rules)) {
+    throw new Error('JSON grammar needs a "rules" object mapping nonterminals to productions');
+  }
+  Object.keys(data.rules).forEach((A) => {
+    const prods = data.rules[A];
+    if (!Array.isArray(prods) || !prods.every((p) => Array.isArray(p) && p.every((s) => typeof s === "string"))) {
+      throw new Error(`Productions for ${A} must be arrays of symbol strings`);
+    }
+  });
+  const declared = new Set(Array.isArray(data.terminals) ? data.terminals : []);
+  // Without a terminals list, any symbol that has no productions is a terminal
+  const terminal = (s) => (declared.size ? declared.has(s) && !data.rules[s] : !data.rules[s]);
+  const productions = [];
+  Object.keys(data.rules).forEach((A) => {
+    data.rules[A].forEach((rhs, idx) => {
+      const prob = data.probabilities && data.probabilities[A] ? data.probabilities[A][idx] : undefined;
+      productions.push({
+        lhs: A,
+        rhs: rhs.map((sym) => ({ sym, terminal: terminal(sym) })),
+        ...(typeof prob === "number" ? { prob } : {}),
+      });
+    });
+  });
+  return buildGrammar(productions, typeof data.startSymbol === "string" ? data.startSymbol : null);
+};
+
+// ---------- BNF / EBNF ----------
+
+// Double quotes unless the terminal holds only the other kind; the quote used and backslashes are
+// escaped so tokenizeEbnf reads the symbol back unchanged
+const quote = (s) =>
+  s.includes('"') && !s.includes("'") ? `'${s.replace(/(['\\])/g, "\\$1")}'` : `"${s.replace(/(["\\])/g, "\\$1")}"`;
+
+const exportBnf = (grammar) => {
+  const isTerminal = isTerminalOf(grammar);
+  const sym = (s) => (isTerminal(s) ? quote(s) : `<${s}>`);
+  return Object.keys(grammar.rules)
+    .filter((A) => grammar.rules[A].length)
+    .map((A) => `<${A}> ::= ${grammar.rules[A].map((rhs) => (rhs.length ? rhs.map(sym).join(" ") : '""')).join(" | ")}`)
+    .join("\n");
+};
+
+const exportEbnf = (grammar) => {
+  const isTerminal = isTerminalOf(grammar);
+  const sym = (s) => (isTerminal(s) ? quote(s) : /^[A-Za-z_][\w-]*$/.test(s) ? s : `<${s}>`);
+  return Object.keys(grammar.rules)
+    .filter((A) => grammar.rules[A].length)
+    .map((A) => `${sym(A)} = ${grammar.rules[A].map((rhs) => (rhs.length ? rhs.map(sym).join(" , ") : '""')).join(" | ")} ;`)
+    .join("\n");
+};
+
+const tokenizeEbnf = (content) => {
+  const text = content.replace(/\(\*[\s\S]*?\*\)/g, " ");
+  const tokens = [];
+  const re = /\s+|#[^\n]*|::=|->|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|<([^>]+)>|[A-Za-z_][\w-]*|ε|[=|,;.[\]{}()?*+]|\S/gy;
+  let m;
+  while ((m = re.exec(text))) {
+    const t = m[0];
+    if (/^\s/.test(t) || t.startsWith("#")) continue;
+    if (m[1] !== undefined || m[2] !== undefined) {
+      const raw = m[1] !== undefined ? m[1] : m[2];
+      tokens.push({ type: "terminal", value: raw.replace(/\\(.)/g, "$1") });
+    } else if (m[3] !== undefined) {
+      tokens.push({ type: "nonterminal", value: m[3].trim().replace(/\s+/g, "_") });
+    } else if (/^[A-Za-z_]/.test(t)) {
+      tokens.push({ type: "nonterminal", value: t });
+    } else if (t === "ε") {
+      tokens.push({ type: "epsilon" });
+    } else if ("=|,;.[]{}()?*+".includes(t) || t === "::=") {
+      tokens.push({ type: t });
+    } else {
+      throw new Error(`Unexpected character "${t}"`);
+    }
+  }
+  return tokens;
+};
+
+// Reads BNF (<A> ::= ...) and EBNF (A = ... ;) including [optional], {repetition}, (groups)
+// and the postfix ?, *, + operators. Those constructs become helper nonterminals.
+const importEbnf = (content) => {
+  const tokens = tokenizeEbnf(content);
+  let pos = 0;
+  const peek = (o = 0) => tokens[pos + o];
+  const isDefine = (t) => t && (t.type === "=" || t.type === "::=");
+  const productions = [];
+  const names = new Set(
+    tokens.filter((t, i) => t.type === "nonterminal" && isDefine(tokens[i + 1])).map((t) => t.value)
+  );
+  const taken = new Set(names);
+  const fresh = (base) => {
+    let i = 1;
+    while (taken.has(`${base}${i}`)) i++;
+    taken.add(`${base}${i}`);
+    return `${base}${i}`;
+  };
+
+  let currentRule = null;
+  const parseAlternatives = () => {
+    const alts = [parseSequence()];
+    while (peek() && peek().type === "|") {
+      pos++;
+      alts.push(parseSequence());
+    }
+    return alts;
+  };
+  const parseSequence = () => {
+    const items = [];
+    for (;;) {
+      const t = peek();
+      if (!t || ["|", ")", "]", "}", ";", "."].includes(t.type)) break;
+      if (t.type === "nonterminal" && isDefine(peek(1))) break;
+      if (t.type === ",") {
+        pos++;
+        continue;
+      }
+      items.push(...parseFactor());
+    }
+    return items;
+  };
+  // Helper nonterminal for a nested construct; returns its symbol list
+  const helper = (kind, alts) => {
+    const name = fresh(`${currentRule}_${kind}`);
+    alts.forEach((rhs) => productions.push({ lhs: name, rhs }));
+    return [{ sym: name, terminal: false }];
+  };
+  const parseFactor = () => {
+    const t = peek();
+    pos++;
+    let syms;
+    const closeWith = (type) => {
+      const alts = parseAlternatives();
+      if (!peek() || peek().type !== type) throw new Error(`Expected "${type}"`);
+      pos++;
+      return alts;
+    };
+    if (t.type === "(") {
+      const alts = closeWith(")");
+      syms = alts.length === 1 ? alts[0] : helper("grp", alts);
+    } else if (t.type === "[") {
+      syms = helper("opt", [...closeWith("]"), []]);
+    } else if (t.type === "{") {
+      const alts = closeWith("}");
+      const name = fresh(`${currentRule}_rep`);
+      alts.forEach((rhs) => productions.push({ lhs: name, rhs: [...rhs, { sym: name, terminal: false }] }));
+      productions.push({ lhs: name, rhs: [] });
+      syms = [{ sym: name, terminal: false }];
+    } else if (t.type === "terminal") {
+      syms = t.value === "" ? [] : [{ sym: t.value, terminal: true }];
+    } else if (t.type === "nonterminal") {
+      syms = [{ sym: t.value, terminal: false }];
+    } else if (t.type === "epsilon") {
+      syms = [];
+    } else {
+      throw new Error(`Unexpected "${t.type}"`);
+    }
+    // Postfix operators
+    while (peek() && ["?", "*", "+"].includes(peek().type)) {
+      const op = peek().type;
+      pos++;
+      if (op === "?") {
+        syms = helper("opt", [syms, []]);
+      } else {
+        const name = fresh(`${currentRule}_rep`);
+        productions.push({ lhs: name, rhs: [...syms, { sym: name, terminal: false }] });
+        productions.push({ lhs: name, rhs: op === "*" ? [] : syms });
+        syms = [{ sym: name, terminal: false }];
+      }
+    }
+    return syms;
+  };
+
+  let start = null;
+  while (pos < tokens.length) {
+    const name = peek();
+    if (name.type !== "nonterminal" || !isDefine(peek(1))) {
+      throw new Error(`Expected a rule like "A ::= ..." or "A = ... ;" near token ${pos + 1}`);
+    }
+    pos += 2;
+    currentRule = name.value;
+    if (!start) start = currentRule;
+    const ruleIndex = productions.length;
+    const alts = parseAlternatives();
+    // Keep the rule's own productions ahead of the helpers it introduced
+    productions.splice(ruleIndex, 0, ...alts.map((rhs) => ({ lhs: currentRule, rhs })));
+    if (peek() && (peek().type === ";" || peek().type === ".")) pos++;
+  }
+  if (!productions.length) throw new Error("No rules found");
+  return buildGrammar(productions, start);
+};
+
+// ---------- NLTK ----------
+
+// NLTK nonterminals are bare words (letters, digits, _ and /, then also ^ < > -); they cannot be
+// quoted, so a name such as <Noun Phrase> has no NLTK spelling
+const NLTK_NONTERMINAL = /^[\p{L}\p{N}_/][\p{L}\p{N}_/^<>-]*$/u;
+
+// Probabilities are written in full so that importing the file gives back the same grammar
+const exportNltk = (grammar) => {
+  const isTerminal = isTerminalOf(grammar);
+  const sym = (s) => {
+    if (isTerminal(s)) return `'${s.replace(/(['\\])/g, "\\$1")}'`;
+    if (!NLTK_NONTERMINAL.test(s)) {
+      throw new Error(`The nonterminal "${s}" cannot be written in NLTK format; rename it to letters, digits and _`);
+    }
+    return s;
+  };
+  return Object.keys(grammar.rules)
+    .filter((A) => grammar.rules[A].length)
+    .map((A) => {
+      const alts = grammar.rules[A]
+        .map((rhs, idx) => ({ rhs, idx }))
+        .sort((a, b) => (a.rhs.length === 0) - (b.rhs.length === 0));
+      return `${sym(A)} -> ${alts
+        .map(({ rhs, idx }) => {
+          const body = rhs.map(sym).join(" ");
+          const prob = grammar.probabilities ? ` [${grammar.probabilities[A][idx]}]` : "";
+          return `${body}${prob}`;
+        })
+        .join(" | ")}`.trimEnd();
+    })
+    .join("\n");
+};
+
+const importNltk = (content) => {
+  const productions = [];
+  let lhs = null;
+  content.split("\n").forEach((raw, idx) => {
+    const line = raw.replace(/(^|\s)#.*$/, "").trim();
+    if (!line) return;
+    let body;
+    const arrow = line.match(/^([^\s'"]+)\s*->(.*)$/);
+    if (arrow) {
+      lhs = arrow[1];
+      body = arrow[2];
+    } else if (line.startsWith("|") && lhs) {
+      body = line.slice(1);
+    } else {
+      throw new Error(`Line ${idx + 1}: expected "A -> ..."`);
+    }
+    let alt = [];
+    let prob;
+    const flush = () => {
+      productions.push({ lhs, rhs: alt, ...(prob !== undefined ? { prob } : {}) });
+      alt = [];
+      prob = undefined;
+    };
+    const re = /\s+|'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)"|\[\s*([\d.eE-]+)\s*\]|\||[^\s|'"[]+/gy;
+    let m;
+    let end = 0;
+    while ((m = re.exec(body))) {
+      end = re.lastIndex;
+      const t = m[0];
+      if (/^\s+$/.test(t)) continue;
+      if (t === "|") flush();
+      else if (m[1] !== undefined || m[2] !== undefined) {
+        const value = (m[1] !== undefined ? m[1] : m[2]).replace(/\\(.)/g, "$1");
+        alt.push({ sym: value, terminal: true });
+      } else if (m[3] !== undefined) prob = Number(m[3]);
+      else alt.push({ sym: t, terminal: false });
+    }
+    if (end < body.length) throw new Error(`Line ${idx + 1}: cannot read "${body.slice(end)}"`);
+    flush();
+  });
+  if (!productions.length) throw new Error("No productions found");
+  return buildGrammar(productions, productions[0].lhs);
+};
+
+// ---------- entry points ----------
+
+export const detectGrammarFormat = (content, fileName = "") => {
+  const ext = (fileName.match(/\.([^.]+)$/) || [])[1];
+  if (ext) {
+    const lower = ext.toLowerCase();
+    const byExt = Object.keys(GRAMMAR_FORMATS).find((f) => GRAMMAR_FORMATS[f].extension === lower);
+    if (byExt) return byExt;
+  }
+  const trimmed = content.trim();
+  if (trimmed.startsWith("{")) return "json";
+  if (trimmed.includes("::=")) return "bnf";
+  // Arrow text that the grammar parser reads without errors is the app's own format (which has
+  // 'single'-quoted terminals too); NLTK is only for quoted arrow text it cannot read
+  if (/^[^\n]*->/m.test(trimmed)) {
+    const native = !diagnoseGrammarText(content).some((issue) => issue.severity === "error");
+    return native || !/->[^\n]*'/.test(trimmed) ? "text" : "nltk";
+  }
+  if (/^\s*[A-Za-z_<][^\n=]*=/m.test(trimmed)) return "ebnf";
+  return "text";
+};
+
+// Returns a grammar object; throws Error with a readable message on malformed input
+export const importGrammar = (content, format) => {
+  switch (format) {
+    case "json":
+      return importJson(content);
+    case "bnf":
+    case "ebnf":
+      return importEbnf(content);
+    case "nltk":
+      return importNltk(content);
+    default:
+      return parseGrammarFromText(content);
+  }
+};
+
+export const exportGrammar = (grammar, format) => {
+  switch (format) {
+    case "json":
+      return exportJson(grammar);
+    case "bnf":
+      return exportBnf(grammar);
+    case "ebnf":
+      return exportEbnf(grammar);
+    case "nltk":
+      return exportNltk(grammar);
+    default:
+      return formatGrammarText(grammar);
+  }
+};
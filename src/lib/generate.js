@@ -0,0 +1,139 @@
+// What a grammar generates: every string up to a length (shortest first) and random sentences
+// with their derivation trees.
+
+import { convertToCNF } from "./cnf.js";
+
+const SEP = "\u0000";
+const toTokens = (key) => (key === "" ? [] : key.split(SEP));
+
+// Strings of each length 0..maxLength derivable from the start symbol, built bottom-up on the
+// CNF grammar. Each (nonterminal, length) set is capped at `limit` strings; `truncated` reports
+// whether any combination was skipped because its set was full, in which case the lists (and
+// counts) may be incomplete.
+// Returns { byLength: [[tokens, ...], ...], truncated }, each length sorted alphabetically.
+export const enumerateLanguage = (grammar, maxLength, limit = 500) => {
+  const { rules, startSymbol } = convertToCNF(grammar).grammar;
+  const lang = Array.from({ length: maxLength + 1 }, () => new Map());
+  let truncated = false;
+  const setFor = (len, A) => {
+    if (!lang[len].has(A)) lang[len].set(A, new Set());
+    return lang[len].get(A);
+  };
+  const binary = [];
+  Object.keys(rules).forEach((A) => {
+    rules[A].forEach((rhs) => {
+      if (rhs.length === 0) setFor(0, A).add("");
+      else if (rhs.length === 1 && maxLength >= 1) setFor(1, A).add(rhs[0]);
+      else if (rhs.length === 2) binary.push({ A, B: rhs[0], C: rhs[1] });
+    });
+  });
+  for (let len = 2; len <= maxLength; len++) {
+    binary.forEach(({ A, B, C }) => {
+      const target = setFor(len, A);
+      for (let k = 1; k < len; k++) {
+        const left = lang[k].get(B);
+        const right = lang[len - k].get(C);
+        if (!left || !right) continue;
+        for (const x of left) {
+          for (const y of right) {
+            // A full set skips this and every remaining split (and later rules for A)
+            if (target.size >= limit) {
+              truncated = true;
+              return;
+            }
+            target.add(`${x}${SEP}${y}`);
+          }
+        }
+      }
+    });
+  }
+  const byLength = lang.map((m) =>
+    Array.from(m.get(startSymbol) || [])
+      .sort((a, b) => a.localeCompare(b))
+      .map(toTokens)
+  );
+  return { byLength, truncated };
+};
+
+// Fewest levels of derivation each nonterminal needs to reach a terminal string
+const minimumDepths = (grammar) => {
+  const variables = new Set(grammar.variables);
+  const depth = new Map();
+  for (let changed = true; changed; ) {
+    changed = false;
+    Object.keys(grammar.rules).forEach((A) => {
+      grammar.rules[A].forEach((rhs) => {
+        const below = rhs
+          .filter((s) => variables.has(s))
+          .reduce((d, s) => Math.max(d, depth.has(s) ? depth.get(s) : Infinity), 0);
+        if (below + 1 < (depth.has(A) ? depth.get(A) : Infinity)) {
+          depth.set(A, below + 1);
+          changed = true;
+        }
+      });
+    });
+  }
+  return depth;
+};
+
+// Thrown inside randomDerivation when a tree outgrows its size limits
+const TOO_LARGE = Symbol("too large");
+
+// A random derivation from the start symbol whose tree is at most `maxDepth` levels deep.
+// Productions are drawn uniformly (by probability for a PCFG) among those that can still
+// finish within the remaining depth. A depth limit alone lets trees grow exponentially when
+// several branches recurse, so `limits` also caps the size: { maxNodes (default 2000),
+// maxTokens }. Returns { tokens, tree } with the tree in the original grammar's rules, or null
+// when the start symbol needs a deeper tree than allowed or this attempt outgrew the limits.
+export const randomDerivation = (grammar, maxDepth, random = Math.random, limits = {}) => {
+  const { maxNodes = 2000, maxTokens = Infinity } = limits;
+  const variables = new Set(grammar.variables);
+  const depth = minimumDepths(grammar);
+  const need = (s) => (depth.has(s) ? depth.get(s) : Infinity);
+  if (need(grammar.startSymbol) > maxDepth) return null;
+  const tokens = [];
+  let nodes = 0;
+  const expand = (A, budget) => {
+    nodes += 1;
+    if (nodes > maxNodes) throw TOO_LARGE;
+    const candidates = grammar.rules[A]
+      .map((rhs, idx) => ({ rhs, idx }))
+      .filter(({ rhs }) => rhs.every((s) => !variables.has(s) || need(s) <= budget - 1));
+    const weights = candidates.map(({ idx }) =>
+      grammar.probabilities ? grammar.probabilities[A][idx] : 1
+    );
+    const total = weights.reduce((s, w) => s + w, 0);
+    let pick = random() * total;
+    let chosen = candidates[candidates.length - 1];
+    for (let i = 0; i < candidates.length; i++) {
+      pick -= weights[i];
+      if (pick < 0) {
+        chosen = candidates[i];
+        break;
+      }
+    }
+    if (!chosen.rhs.length) return { label: A, children: [{ label: "ε" }] };
+    return {
+      label: A,
+      children: chosen.rhs.map((s) => {
+        if (variables.has(s)) return expand(s, budget - 1);
+        tokens.push(s);
+        if (tokens.length > maxTokens) throw TOO_LARGE;
+        return { label: s };
+      }),
+    };
+  };
+  try {
+    const tree = expand(grammar.startSymbol, maxDepth);
+    return { tokens, tree };
+  } catch (err) {
+    if (err === TOO_LARGE) return null;
+    throw err;
+  }
+};
+
+// The shallowest depth limit that lets randomDerivation succeed, or null if none does
+export const minimumDerivationDepth = (grammar) => {
+  const d = minimumDepths(grammar).get(grammar.startSymbol);
+  return d === undefined ? null : d;
+};
@@ -0,0 +1,434 @@
+// Grammar text format: parsing, diagnostics and pretty-printing.
+// Shared by the Simulator/PGC tabs and the command-line parser.
+//
+// One rule per line, `A -> α | β` (or →), with:
+//   # comment              from a # at the start of a token to the end of the line
+//   trailing \             continues the rule on the next line; so does a line starting with |
+//   %start A               start symbol (otherwise the first left-hand side)
+//   %terminals a b "c d"   declared terminals; %nonterminals NP VP declares nonterminals
+//   <Noun Phrase>          a nonterminal with any name
+//   "x" or 'x'             a terminal with any text; \" \' and \\ escape inside quotes
+//   [0.7]                  the probability of an alternative, at its end
+// An unquoted symbol is a nonterminal if it has productions or is declared one, a terminal if
+// declared one; when only one kind is declared, every other symbol is of the other kind.
+// Without declarations, lowercase words are terminals and compact right-hand sides such as AB
+// or aSb are split into letters when their capitals are all defined nonterminals.
+
+// Spellings accepted for the empty string in grammar text
+export const EPSILON_SYMBOLS = ["ε", "epsilon", "eps", "λ", '""'];
+
+const DIRECTIVES = ["start", "terminals", "nonterminals"];
+
+// Whitespace, comment, arrow, |, [p], "x", 'x', <A>, trailing \ or a bare symbol
+const TOKEN =
+  /\s+|#.*$|->|→|\||\[\s*(\d*\.?\d+(?:[eE]-?\d+)?)\s*\]|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|<([^<>]*)>|\\\s*$|(?:(?!->)[^\s|"'[\\#→])(?:(?!->)[^\s|[→])*/y;
+
+// A symbol that reads back as one bare token
+const TOKEN_BARE = /^(?:(?!->)[^\s|"'[\\#→<%])(?:(?!->)[^\s|[→])*$/;
+
+// Tokens of one physical line ({ kind, value, line }) or the reason it cannot be read
+const lexLine = (raw, line) => {
+  const tokens = [];
+  let pos = 0;
+  while (pos < raw.length) {
+    TOKEN.lastIndex = pos;
+    const m = TOKEN.exec(raw);
+    if (!m) {
+      const rest = raw.slice(pos).trim();
+      const reason = /^["']/.test(rest) ? "Unclosed quote" : `Cannot read "${rest}"`;
+      return { tokens, error: `${reason}; the line is ignored` };
+    }
+    pos = TOKEN.lastIndex;
+    const t = m[0];
+    if (/^\s/.test(t)) continue;
+    if (t.startsWith("#")) break;
+    if (t === "->" || t === "→") tokens.push({ kind: "arrow", line });
+    else if (t === "|") tokens.push({ kind: "bar", line });
+    else if (m[1] !== undefined) tokens.push({ kind: "probability", value: Number(m[1]), text: m[1], line });
+    else if (m[2] !== undefined || m[3] !== undefined) {
+      const body = m[2] !== undefined ? m[2] : m[3];
+      tokens.push({ kind: "quoted", value: body.replace(/\\(.)/g, "$1"), line });
+    } else if (m[4] !== undefined) {
+      if (!m[4].trim()) return { tokens, error: "<> names no nonterminal; the line is ignored" };
+      tokens.push({ kind: "angle", value: m[4].trim(), line });
+    }
+    else if (t.startsWith("\\")) tokens.push({ kind: "continue", line });
+    else tokens.push({ kind: "word", value: t, line });
+  }
+  return { tokens, error: null };
+};
+
+// Physical lines joined into statements ({ tokens, line }): a trailing \ joins the next
+// non-blank line, and a line starting with | continues the rule before it
+const readStatements = (text, issues) => {
+  const statements = [];
+  let joinNext = false;
+  text.split("\n").forEach((raw, idx) => {
+    const line = idx + 1;
+    const { tokens, error } = lexLine(raw, line);
+    if (error) {
+      issues.push({ severity: "error", line, message: error });
+      joinNext = false;
+      return;
+    }
+    const continues = tokens.length > 0 && tokens[tokens.length - 1].kind === "continue";
+    if (continues) tokens.pop();
+    if (!tokens.length) {
+      joinNext = joinNext || continues;
+      return;
+    }
+    const previous = statements[statements.length - 1];
+    if (previous && (joinNext || tokens[0].kind === "bar")) previous.tokens.push(...tokens);
+    else statements.push({ tokens, line });
+    joinNext = continues;
+  });
+  return statements;
+};
+
+const isDirective = (token) => token.kind === "word" && token.value.startsWith("%");
+
+// Text -> { grammar, issues } with the syntax issues (severities as in diagnoseGrammarText)
+const readGrammarText = (text) => {
+  const issues = [];
+  const error = (line, message) => issues.push({ severity: "error", line, message });
+  const warning = (line, message) => issues.push({ severity: "warning", line, message });
+  const declared = { terminals: new Set(), nonterminals: new Set() };
+  let start = null;
+  const parsed = [];
+
+  readStatements(text, issues).forEach(({ tokens, line }) => {
+    if (isDirective(tokens[0])) {
+      const name = tokens[0].value.slice(1);
+      const args = tokens.slice(1);
+      if (!DIRECTIVES.includes(name)) {
+        error(line, `Unknown directive %${name}; use %start, %terminals or %nonterminals`);
+        return;
+      }
+      const symbols = args.filter((t) =>
+        name === "terminals" ? t.kind === "word" || t.kind === "quoted" : t.kind === "word" || t.kind === "angle"
+      );
+      if (symbols.length < args.length || !args.length) {
+        error(
+          line,
+          name === "start"
+            ? "%start takes one nonterminal"
+            : name === "terminals"
+              ? "%terminals takes terminals (words or quoted text)"
+              : "%nonterminals takes nonterminals (words or <names>)"
+        );
+        return;
+      }
+      if (name === "start") {
+        if (symbols.length > 1) {
+          error(line, "%start takes one nonterminal");
+          return;
+        }
+        if (start) warning(line, `Start symbol was already set to ${start.symbol}; ${symbols[0].value} is used`);
+        start = { symbol: symbols[0].value, line };
+      } else {
+        symbols.forEach((t) => declared[name].add(t.value));
+      }
+      return;
+    }
+
+    const arrow = tokens.findIndex((t) => t.kind === "arrow");
+    if (arrow === -1) {
+      error(line, 'No "->" or "→" found; the line is ignored');
+      return;
+    }
+    const left = tokens.slice(0, arrow);
+    if (!left.length) {
+      error(line, "Missing nonterminal before the arrow; the line is ignored");
+      return;
+    }
+    let lhs;
+    if (left.length === 1 && left[0].kind === "angle") lhs = left[0].value;
+    else if (left.every((t) => t.kind === "word")) {
+      lhs = left.map((t) => t.value).join("");
+      if (left.length > 1) {
+        const written = left.map((t) => t.value).join(" ");
+        warning(line, `Spaces in "${written}" are removed; read as ${lhs}`);
+      }
+    } else {
+      error(line, "The left-hand side must be one nonterminal; the line is ignored");
+      return;
+    }
+    const right = tokens.slice(arrow + 1);
+    if (!right.length) {
+      error(line, "Nothing after the arrow; write ε for the empty string");
+      parsed.push({ lhs, alternatives: [], line });
+      return;
+    }
+    // Split into alternatives; a probability may only close one
+    const alternatives = [];
+    let current = { symbols: [], probability: null, line: right[0].line };
+    let ok = true;
+    const close = () => {
+      if (current.symbols.length || current.probability !== null) alternatives.push(current);
+      else warning(current.line, "Empty alternative is ignored; write ε for the empty string");
+    };
+    right.forEach((t) => {
+      if (t.kind === "bar") {
+        close();
+        current = { symbols: [], probability: null, line: t.line };
+      } else if (t.kind === "arrow") {
+        if (ok) error(t.line, 'Unexpected "->" inside a right-hand side; the line is ignored');
+        ok = false;
+      } else if (current.probability !== null) {
+        if (ok) error(t.line, "A probability must come last in its alternative; the line is ignored");
+        ok = false;
+      } else if (t.kind === "probability") {
+        current.probability = t;
+        if (t.value > 1) warning(t.line, `Probability ${t.text} is greater than 1`);
+      } else if (isDirective(t) && t.value.length > 1 && DIRECTIVES.includes(t.value.slice(1))) {
+        if (ok) error(t.line, `${t.value} must start its own line; the line is ignored`);
+        ok = false;
+      } else current.symbols.push(t);
+    });
+    close();
+    if (ok) parsed.push({ lhs, alternatives, line });
+  });
+
+  const lhsSet = new Set(parsed.map((r) => r.lhs));
+  const declaring = declared.terminals.size > 0 || declared.nonterminals.size > 0;
+  const isNonterminalName = (name) => lhsSet.has(name) || declared.nonterminals.has(name) || (start && start.symbol === name);
+  declared.terminals.forEach((a) => {
+    if (declared.nonterminals.has(a)) warning(null, `${a} is declared both in %terminals and %nonterminals`);
+    else if (lhsSet.has(a)) warning(null, `${a} is declared in %terminals but has productions; it is read as a nonterminal`);
+  });
+
+  // One right-hand side as [{ sym, terminal }] (empty array = ε)
+  const symbolsOf = (alternative) => {
+    const parts = alternative.symbols;
+    if (parts.length === 1 && parts[0].kind === "word" && !declaring && !isNonterminalName(parts[0].value)) {
+      const sym = parts[0].value;
+      // Support compact forms like AB -> A B and aSb -> a S b
+      const upper = [...sym].filter((c) => /[A-Z]/.test(c));
+      if (/^[A-Za-z]{2,}$/.test(sym) && upper.length > 0 && upper.every((c) => lhsSet.has(c))) {
+        return [...sym].map((c) => ({ sym: c, terminal: /[a-z]/.test(c) }));
+      }
+    }
+    return parts
+      .filter((t) => !(t.kind === "word" && EPSILON_SYMBOLS.includes(t.value)) && !(t.kind === "quoted" && !t.value))
+      .map((t) => {
+        if (t.kind === "quoted") return { sym: t.value, terminal: true };
+        if (t.kind === "angle") return { sym: t.value, terminal: false };
+        if (isNonterminalName(t.value)) return { sym: t.value, terminal: false };
+        if (declared.terminals.has(t.value)) return { sym: t.value, terminal: true };
+        if (declared.nonterminals.size && !declared.terminals.size) return { sym: t.value, terminal: true };
+        if (declared.terminals.size && !declared.nonterminals.size) return { sym: t.value, terminal: false };
+        return { sym: t.value, terminal: /^[a-z][a-z0-9_']*$/.test(t.value) };
+      });
+  };
+
+  const rules = {};
+  const probabilities = {};
+  const lineNumbers = {};
+  const variablesSet = new Set();
+  const terminalsSet = new Set();
+  let probabilistic = false;
+  parsed.forEach(({ lhs, alternatives }) => {
+    if (!rules[lhs]) rules[lhs] = [];
+    if (!probabilities[lhs]) probabilities[lhs] = [];
+    if (!lineNumbers[lhs]) lineNumbers[lhs] = [];
+    variablesSet.add(lhs);
+    alternatives.forEach((alternative) => {
+      // Optional rule probability, e.g. NP -> Det N [0.7]
+      if (alternative.probability) probabilistic = true;
+      const symbols = symbolsOf(alternative);
+      symbols.forEach(({ sym, terminal }) => (terminal ? terminalsSet.add(sym) : variablesSet.add(sym)));
+      rules[lhs].push(symbols.map((sym) => sym.sym));
+      probabilities[lhs].push(alternative.probability ? alternative.probability.value : null);
+      lineNumbers[lhs].push(alternative.line);
+    });
+  });
+  // Declared symbols belong to the grammar even when no production uses them
+  if (start) variablesSet.add(start.symbol);
+  declared.nonterminals.forEach((A) => variablesSet.add(A));
+  declared.terminals.forEach((a) => {
+    if (!variablesSet.has(a)) terminalsSet.add(a);
+  });
+
+  const grammar = {
+    variables: Array.from(variablesSet),
+    terminals: Array.from(terminalsSet),
+    startSymbol: start ? start.symbol : parsed.length ? parsed[0].lhs : "S",
+    rules,
+    lineNumbers,
+  };
+  if (!probabilistic) return { grammar, issues };
+  // Unannotated alternatives share whatever probability mass their left-hand side has left
+  Object.keys(probabilities).forEach((A) => {
+    const given = probabilities[A].filter((p) => p !== null);
+    const missing = probabilities[A].length - given.length;
+    const share = missing
+      ? Math.max(0, 1 - given.reduce((sum, p) => sum + p, 0)) / missing
+      : 0;
+    probabilities[A] = probabilities[A].map((p) => (p === null ? share : p));
+  });
+  return { grammar: { ...grammar, probabilities }, issues };
+};
+
+// Parse textarea style grammar into a general CFG structure (any production length, ε allowed)
+export const parseGrammarFromText = (text) => readGrammarText(text).grammar;
+
+// Line-numbered problems and symbol analysis for the grammar textareas.
+// Severity is "error" (line ignored), "warning" (likely mistake) or "info" (will be converted).
+// `lexicalCategories` are preterminals supplied by an external lexicon (see lexicon.js);
+// they count as defined even without productions in the text.
+export const diagnoseGrammarText = (text, lexicalCategories = []) => {
+  const { grammar: g, issues } = readGrammarText(text);
+  const terminals = new Set(g.terminals);
+  const defined = new Set(Object.keys(g.rules).filter((A) => g.rules[A].length > 0));
+  const fmt = (rhs) => (rhs.length ? rhs.join(" ") : "ε");
+  const startOnRhs = Object.values(g.rules).some((prods) =>
+    prods.some((rhs) => rhs.includes(g.startSymbol))
+  );
+
+  // Productions that are not in CNF
+  Object.keys(g.rules).forEach((A) => {
+    g.rules[A].forEach((rhs, idx) => {
+      const line = g.lineNumbers[A][idx];
+      const isTerm = rhs.map((s) => terminals.has(s) && !g.rules[s]);
+      let reason = null;
+      if (rhs.length === 0) {
+        if (A !== g.startSymbol || startOnRhs) reason = "ε-production";
+      } else if (rhs.length === 1) {
+        if (!isTerm[0]) reason = "unit production";
+      } else if (rhs.length === 2) {
+        if (isTerm.some(Boolean)) reason = "mixes terminals and nonterminals";
+      } else {
+        reason = `${rhs.length} symbols on the right-hand side`;
+      }
+      if (reason) {
+        issues.push({
+          severity: "info",
+          line,
+          message: `${A} -> ${fmt(rhs)} is not in CNF (${reason}); it will be converted`,
+        });
+      }
+    });
+  });
+
+  const firstUse = (sym) => {
+    for (const A of Object.keys(g.rules)) {
+      const idx = g.rules[A].findIndex((rhs) => rhs.includes(sym));
+      if (idx !== -1) return g.lineNumbers[A][idx];
+    }
+    return null;
+  };
+  const firstDefinition = (A) => (g.lineNumbers[A] ? g.lineNumbers[A][0] : null);
+
+  // Used but never defined
+  const lexical = new Set(lexicalCategories);
+  g.variables
+    .filter((A) => !defined.has(A) && !lexical.has(A))
+    .forEach((A) => {
+      issues.push({
+        severity: "warning",
+        line: firstUse(A) || firstDefinition(A),
+        message: `Nonterminal ${A} is used but has no productions`,
+      });
+    });
+
+  // Unreachable from the start symbol
+  const reachable = new Set([g.startSymbol]);
+  const queue = [g.startSymbol];
+  while (queue.length) {
+    const A = queue.shift();
+    (g.rules[A] || []).forEach((rhs) =>
+      rhs.forEach((s) => {
+        if (!reachable.has(s)) {
+          reachable.add(s);
+          queue.push(s);
+        }
+      })
+    );
+  }
+  Array.from(defined)
+    .filter((A) => !reachable.has(A))
+    .forEach((A) => {
+      issues.push({
+        severity: "warning",
+        line: firstDefinition(A),
+        message: `Nonterminal ${A} is unreachable from the start symbol ${g.startSymbol}`,
+      });
+    });
+
+  // Generating: derives at least one terminal string
+  const generating = new Set(lexical);
+  let changed = true;
+  while (changed) {
+    changed = false;
+    Array.from(defined).forEach((A) => {
+      if (generating.has(A)) return;
+      const ok = g.rules[A].some((rhs) =>
+        rhs.every((s) => generating.has(s) || (terminals.has(s) && !g.rules[s]))
+      );
+      if (ok) {
+        generating.add(A);
+        changed = true;
+      }
+    });
+  }
+  Array.from(defined)
+    .filter((A) => !generating.has(A))
+    .forEach((A) => {
+      issues.push({
+        severity: "warning",
+        line: firstDefinition(A),
+        message:
+          A === g.startSymbol
+            ? `Start symbol ${A} generates no terminal string; every input will be rejected`
+            : `Nonterminal ${A} generates no terminal string`,
+      });
+    });
+
+  // PCFG: each left-hand side should sum to 1
+  if (g.probabilities) {
+    Object.keys(g.probabilities).forEach((A) => {
+      const sum = g.probabilities[A].reduce((s, p) => s + p, 0);
+      if (g.probabilities[A].length && Math.abs(sum - 1) > 1e-6) {
+        issues.push({
+          severity: "warning",
+          line: firstDefinition(A),
+          message: `Probabilities for ${A} sum to ${formatProbability(sum)}, not 1`,
+        });
+      }
+    });
+  }
+
+  return issues.sort((a, b) => (a.line || Infinity) - (b.line || Infinity));
+};
+
+export const formatProbability = (p) => String(Number(p.toPrecision(3)));
+
+// Written so parseGrammarFromText reads it back: terminals other than single letters are quoted,
+// nonterminals that would not read back as themselves get <angle brackets>, and a start symbol
+// that is not the first left-hand side gets a %start line
+export const formatGrammarText = (grammar) => {
+  const terminals = new Set(grammar.terminals);
+  const plain = (sym) => TOKEN_BARE.test(sym) && !EPSILON_SYMBOLS.includes(sym);
+  const nonterminal = (sym) =>
+    plain(sym) && (grammar.rules[sym] || !/^[a-z][a-z0-9_']*$|^[A-Za-z]{2,}$/.test(sym)) ? sym : `<${sym}>`;
+  const fmt = (sym) =>
+    terminals.has(sym) && !grammar.rules[sym]
+      ? /^[a-z]$/.test(sym)
+        ? sym
+        : `"${sym.replace(/["\\]/g, "\\$&")}"`
+      : nonterminal(sym);
+  const prob = (A, idx) =>
+    grammar.probabilities ? ` [${formatProbability(grammar.probabilities[A][idx])}]` : "";
+  const defined = Object.keys(grammar.rules).filter((A) => grammar.rules[A].length > 0);
+  const start =
+    !defined.length || defined[0] === grammar.startSymbol ? [] : [`%start ${nonterminal(grammar.startSymbol)}`];
+  return [
+    ...start,
+    ...defined.map(
+      (A) =>
+        `${nonterminal(A)} -> ${grammar.rules[A]
+          .map((rhs, idx) => `${rhs.length ? rhs.map(fmt).join(" ") : "ε"}${prob(A, idx)}`)
+          .join(" | ")}`
+    ),
+  ].join("\n");
+};
@@ -0,0 +1,116 @@
+// Form-based grammar editing for the RBS tab: declared variable and terminal lists, a start
+// symbol and one row per production ({ lhs, rhs } with right-hand side symbols separated by
+// spaces). Validation requires every symbol to be declared and every production to be in CNF;
+// the result is the same grammar object parseGrammarFromText builds for the other tabs.
+
+// "S, A  B" -> ["S", "A", "B"]
+export const splitSymbols = (text) => text.split(/[\s,]+/).filter(Boolean);
+
+export const emptyProduction = (lhs = "") => ({ lhs, rhs: "" });
+
+// The form for a parsed grammar (e.g. the Simulator's), one row per alternative
+export const grammarToForm = (grammar) => ({
+  variables: grammar.variables.join(", "),
+  terminals: grammar.terminals.join(", "),
+  startSymbol: grammar.startSymbol,
+  productions: Object.keys(grammar.rules).flatMap((A) =>
+    grammar.rules[A].map((rhs) => ({ lhs: A, rhs: rhs.join(" ") }))
+  ),
+});
+
+// Symbols the grammar text format could not read back
+const badSymbol = (sym) => /[|"[\]]|->|→/.test(sym);
+
+const duplicates = (list) => list.filter((s, idx) => list.indexOf(s) !== idx);
+
+// Returns { grammar, issues } where issues are { severity: "error" | "warning", row, message }
+// with the production row index (or null for the declarations); grammar is null while there
+// are errors. Rules are keyed by left-hand side, start symbol first, in row order.
+export const validateGrammarForm = (form) => {
+  const issues = [];
+  const error = (row, message) => issues.push({ severity: "error", row, message });
+  const warning = (row, message) => issues.push({ severity: "warning", row, message });
+  const variables = Array.from(new Set(splitSymbols(form.variables)));
+  const terminals = Array.from(new Set(splitSymbols(form.terminals)));
+  const startSymbol = form.startSymbol.trim();
+
+  if (!variables.length) error(null, "Declare at least one variable");
+  if (!terminals.length) error(null, "Declare at least one terminal");
+  duplicates(splitSymbols(form.variables)).forEach((s) => warning(null, `Variable ${s} is declared twice`));
+  duplicates(splitSymbols(form.terminals)).forEach((s) => warning(null, `Terminal ${s} is declared twice`));
+  variables
+    .filter((s) => terminals.includes(s))
+    .forEach((s) => error(null, `${s} is declared both as a variable and as a terminal`));
+  [...variables, ...terminals]
+    .filter(badSymbol)
+    .forEach((s) => error(null, `${s} contains |, a quote, a bracket or an arrow, which grammar text cannot hold`));
+  if (!startSymbol) error(null, "Choose a start symbol");
+  else if (!variables.includes(startSymbol)) error(null, `Start symbol ${startSymbol} is not a declared variable`);
+
+  const isVariable = (s) => variables.includes(s) && !terminals.includes(s);
+  const isTerminal = (s) => terminals.includes(s) && !variables.includes(s);
+  const seen = new Map();
+  const rows = form.productions.map((p, row) => {
+    const lhs = p.lhs.trim();
+    const rhs = splitSymbols(p.rhs);
+    let ok = true;
+    if (!lhs) {
+      error(row, "Choose the variable on the left-hand side");
+      ok = false;
+    } else if (!isVariable(lhs)) {
+      error(row, `${lhs} is not a declared variable`);
+      ok = false;
+    }
+    if (!rhs.length) {
+      error(row, "Empty right-hand side; CNF productions have one terminal or two variables");
+      return null;
+    }
+    rhs
+      .filter((s) => !isVariable(s) && !isTerminal(s))
+      .forEach((s) => {
+        ok = false;
+        const parts = [...s];
+        error(
+          row,
+          parts.length > 1 && parts.every((c) => isVariable(c) || isTerminal(c))
+            ? `${s} is not declared; separate symbols with spaces (${parts.join(" ")})`
+            : `${s} is not declared as a variable or terminal`
+        );
+      });
+    if (!ok) return null;
+    const shown = `${lhs} → ${rhs.join(" ")}`;
+    if (rhs.length === 1 && isVariable(rhs[0])) {
+      error(row, `${shown} is a unit production; CNF allows a single terminal here`);
+      return null;
+    }
+    if (rhs.length === 2 && !rhs.every(isVariable)) {
+      error(row, `${shown} mixes terminals into a binary production; CNF needs two variables`);
+      return null;
+    }
+    if (rhs.length > 2) {
+      error(row, `${shown} has ${rhs.length} symbols; CNF productions have at most two`);
+      return null;
+    }
+    const key = `${lhs} → ${rhs.join(" ")}`;
+    if (seen.has(key)) {
+      warning(row, `Same production as row ${seen.get(key) + 1}; it is ignored`);
+      return null;
+    }
+    seen.set(key, row);
+    return { lhs, rhs };
+  });
+
+  variables
+    .filter((A) => !rows.some((r) => r && r.lhs === A))
+    .forEach((A) => warning(null, `${A} has no productions`));
+
+  if (issues.some((issue) => issue.severity === "error")) return { grammar: null, issues };
+  const rules = {};
+  [startSymbol, ...variables.filter((A) => A !== startSymbol)].forEach((A) => {
+    rows.filter((r) => r && r.lhs === A).forEach((r) => {
+      if (!rules[A]) rules[A] = [];
+      rules[A].push(r.rhs);
+    });
+  });
+  return { grammar: { variables, terminals, startSymbol, rules }, issues };
+};
@@ -0,0 +1,121 @@
+// External lexicon: a word -> preterminals mapping loaded separately from the grammar.
+// Accepted formats, detected from the content:
+//   TSV / CSV   word<TAB>N<TAB>V  or  word,N,V  (extra categories may also be written N|V);
+//               an optional "word,..." header row and # comments are skipped
+//   JSON        { "cat": "N", "saw": ["N", "V"] }  or  [{ "word": "cat", "tags": ["N"] }, ...]
+// Before CNF conversion each input word gets lexical rules X -> "word" for its categories,
+// so unit chains (NP -> N) and parse-tree mapping work as if the rules were in the grammar.
+
+const addEntry = (words, word, tags) => {
+  const list = words.get(word) || [];
+  tags.forEach((t) => {
+    if (t && !list.includes(t)) list.push(t);
+  });
+  if (list.length) words.set(word, list);
+};
+
+const parseJsonLexicon = (content) => {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (err) {
+    throw new Error(`Invalid JSON: ${err.message}`);
+  }
+  const words = new Map();
+  const toTags = (v) => (Array.isArray(v) ? v : [v]).filter((t) => typeof t === "string");
+  if (Array.isArray(data)) {
+    data.forEach((entry, idx) => {
+      if (!entry || typeof entry.word !== "string") {
+        throw new Error(`Entry ${idx + 1} needs a "word" string`);
+      }
+      addEntry(words, entry.word, toTags(entry.tags !== undefined ? entry.tags : entry.tag));
+    });
+  } else if (data && typeof data === "object") {
+    Object.keys(data).forEach((word) => addEntry(words, word, toTags(data[word])));
+  } else {
+    throw new Error("A JSON lexicon must be an object or an array of entries");
+  }
+  return words;
+};
+
+const parseDelimitedLexicon = (content) => {
+  const words = new Map();
+  const delimiter = content.includes("\t") ? "\t" : ",";
+  content.split("\n").forEach((raw, idx) => {
+    const line = raw.trim();
+    if (!line || line.startsWith("#")) return;
+    const [word, ...rest] = line.split(delimiter).map((c) => c.trim().replace(/^"(.*)"$/, "$1"));
+    if (idx === 0 && /^(word|token|form)$/i.test(word)) return;
+    const tags = rest.flatMap((c) => c.split(/[|\s]+/)).filter(Boolean);
+    if (!word || !tags.length) {
+      throw new Error(`Line ${idx + 1}: expected a word followed by at least one preterminal`);
+    }
+    addEntry(words, word, tags);
+  });
+  return words;
+};
+
+// Returns Map word -> [preterminal, ...]; throws Error with a readable message
+export const parseLexicon = (content) => {
+  const trimmed = content.trim();
+  if (!trimmed) return new Map();
+  return /^[[{]/.test(trimmed) ? parseJsonLexicon(trimmed) : parseDelimitedLexicon(content);
+};
+
+export const lexicalCategories = (words) => Array.from(new Set(Array.from(words.values()).flat()));
+
+// Add lexical rules for `tokens` to a parsed grammar. Words that are neither grammar terminals
+// nor in the lexicon are returned as `unknown`; with `wildcard` they match every preterminal
+// (every nonterminal with a single-terminal production or a lexicon category).
+// In a PCFG, each lexical rule counts as probability 1 and then every left-hand side that gained
+// rules is renormalized to sum to 1: a pure lexicon category splits its mass evenly across the
+// input's words, and a preterminal with rules of its own gives them its original share.
+export const applyLexicon = (grammar, tokens, lexicon = null) => {
+  const words = lexicon ? lexicon.words : new Map();
+  const terminals = new Set(grammar.terminals);
+  const known = (w) => (terminals.has(w) && !grammar.rules[w]) || words.has(w);
+  const unknown = Array.from(new Set(tokens.filter((w) => !known(w))));
+  const wildcard = Boolean(lexicon && lexicon.wildcard);
+  if (!words.size && !wildcard) return { grammar, unknown };
+
+  const preterminals = new Set(lexicalCategories(words));
+  Object.keys(grammar.rules).forEach((A) => {
+    if (grammar.rules[A].some((rhs) => rhs.length === 1 && terminals.has(rhs[0]) && !grammar.rules[rhs[0]])) {
+      preterminals.add(A);
+    }
+  });
+  const rules = { ...grammar.rules };
+  const probabilities = grammar.probabilities ? { ...grammar.probabilities } : null;
+  const variables = new Set(grammar.variables);
+  const addedTerminals = new Set(grammar.terminals);
+  const extended = new Set();
+  const addRule = (A, word) => {
+    const existing = rules[A] || [];
+    if (existing.some((rhs) => rhs.length === 1 && rhs[0] === word)) return;
+    rules[A] = [...existing, [word]];
+    extended.add(A);
+    if (probabilities) probabilities[A] = [...(probabilities[A] || []), 1];
+    variables.add(A);
+    addedTerminals.add(word);
+  };
+  new Set(tokens).forEach((word) => {
+    if (words.has(word)) words.get(word).forEach((A) => addRule(A, word));
+    else if (wildcard && unknown.includes(word)) preterminals.forEach((A) => addRule(A, word));
+  });
+  if (probabilities) {
+    extended.forEach((A) => {
+      const sum = probabilities[A].reduce((total, p) => total + p, 0);
+      probabilities[A] = probabilities[A].map((p) => p / sum);
+    });
+  }
+  return {
+    grammar: {
+      ...grammar,
+      variables: Array.from(variables),
+      terminals: Array.from(addedTerminals),
+      rules,
+      ...(probabilities ? { probabilities } : {}),
+    },
+    unknown,
+  };
+};
@@ -0,0 +1,111 @@
+// Saved grammar library kept in localStorage. Each entry holds a grammar with the input and
+// batch samples it was saved with, plus free-form notes:
+//   { id, name, tab: "Simulator" | "PGC", grammar, input, samples, notes, updatedAt }
+// The helpers below return new arrays so they can be passed straight to React state setters.
+
+export const LIBRARY_STORAGE_KEY = "cyk-grammar-library";
+const LIBRARY_FILE_FORMAT = "cyk-grammar-library";
+
+const newId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const isEntry = (e) => e && typeof e.name === "string" && typeof e.grammar === "string";
+
+const normalizeEntry = (e) => ({
+  id: typeof e.id === "string" ? e.id : newId(),
+  name: e.name,
+  tab: e.tab === "Simulator" ? "Simulator" : "PGC",
+  grammar: e.grammar,
+  input: typeof e.input === "string" ? e.input : "",
+  samples: typeof e.samples === "string" ? e.samples : "",
+  notes: typeof e.notes === "string" ? e.notes : "",
+  updatedAt: typeof e.updatedAt === "number" ? e.updatedAt : Date.now(),
+});
+
+// "Name", "Name (2)", "Name (3)", ... whichever is free first
+export const uniqueName = (name, entries, exceptId = null) => {
+  const taken = new Set(entries.filter((e) => e.id !== exceptId).map((e) => e.name));
+  const base = name.trim() || "Untitled grammar";
+  if (!taken.has(base)) return base;
+  let i = 2;
+  while (taken.has(`${base} (${i})`)) i++;
+  return `${base} (${i})`;
+};
+
+// window.localStorage itself throws (SecurityError) in sandboxed frames or with storage blocked,
+// so it is only read inside the try blocks below
+const localStorageOf = (storage) => storage || window.localStorage;
+
+// Missing, blocked or corrupt storage yields an empty library rather than an error
+export const loadLibrary = (storage = null) => {
+  try {
+    const data = JSON.parse(localStorageOf(storage).getItem(LIBRARY_STORAGE_KEY) || "[]");
+    return Array.isArray(data) ? data.filter(isEntry).map(normalizeEntry) : [];
+  } catch {
+    return [];
+  }
+};
+
+// Returns false when the browser refuses to store (private mode, quota exceeded, blocked storage)
+export const saveLibrary = (entries, storage = null) => {
+  try {
+    localStorageOf(storage).setItem(LIBRARY_STORAGE_KEY, JSON.stringify(entries));
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Saving under an existing name for the same tab updates that entry in place
+export const saveEntry = (entries, fields) => {
+  const existing = entries.find((e) => e.name === fields.name.trim() && e.tab === fields.tab);
+  if (existing) {
+    return entries.map((e) =>
+      e === existing ? normalizeEntry({ ...e, ...fields, name: e.name, updatedAt: Date.now() }) : e
+    );
+  }
+  const entry = normalizeEntry({ ...fields, id: newId(), name: uniqueName(fields.name, entries) });
+  return [...entries, entry];
+};
+
+export const renameEntry = (entries, id, name) =>
+  entries.map((e) =>
+    e.id === id ? { ...e, name: uniqueName(name, entries, id), updatedAt: Date.now() } : e
+  );
+
+export const duplicateEntry = (entries, id) => {
+  const idx = entries.findIndex((e) => e.id === id);
+  if (idx < 0) return entries;
+  const copy = {
+    ...entries[idx],
+    id: newId(),
+    name: uniqueName(`${entries[idx].name} (copy)`, entries),
+    updatedAt: Date.now(),
+  };
+  return [...entries.slice(0, idx + 1), copy, ...entries.slice(idx + 1)];
+};
+
+export const deleteEntry = (entries, id) => entries.filter((e) => e.id !== id);
+
+export const exportLibrary = (entries) =>
+  JSON.stringify({ format: LIBRARY_FILE_FORMAT, version: 1, entries }, null, 2);
+
+// Appends the file's entries; clashing ids are replaced and clashing names get a suffix
+export const importLibrary = (content, entries) => {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (err) {
+    throw new Error(`Invalid JSON: ${err.message}`);
+  }
+  const incoming = Array.isArray(data) ? data : data && data.entries;
+  if (!Array.isArray(incoming)) throw new Error("Not a grammar library file");
+  const valid = incoming.filter(isEntry);
+  if (!valid.length) throw new Error("The file contains no grammars");
+  const ids = new Set(entries.map((e) => e.id));
+  return valid.reduce((acc, raw) => {
+    const entry = normalizeEntry(raw);
+    const id = ids.has(entry.id) ? newId() : entry.id;
+    ids.add(id);
+    return [...acc, { ...entry, id, name: uniqueName(entry.name, acc) }];
+  }, entries);
+};
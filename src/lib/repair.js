@@ -0,0 +1,211 @@
+// Error recovery for rejected input: the largest recognized constituents (a partial parse
+// forest over the tokens) and a minimum-edit repair computed by error-correcting CYK.
+
+import { parseGrammarFromText } from "./grammar.js";
+import { mapTreeToOriginal } from "./cnf.js";
+
+const levenshtein = (a, b) => {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+};
+
+// Costs are compared by edit count first, then by how far substituted words are (in characters)
+// from the words they replace, so "chase" is repaired to "chased" rather than to "saw".
+const better = (x, y) => !y || x.edits < y.edits || (x.edits === y.edits && x.chars < y.chars);
+const add = (x, y) => ({ edits: x.edits + y.edits, chars: x.chars + y.chars });
+
+// Cover the tokens with as few recognized constituents as possible. Only the user's own
+// nonterminals count (not CNF helpers), preferring the start symbol and then grammar order.
+// Pieces are { start, end, symbol, tree } or { start, end, symbol: null } for unrecognized tokens.
+export const partialParseForest = (r, grammar) => {
+  const { table, back, tokens, cnf } = r;
+  const n = tokens.length;
+  const rank = new Map(grammar.variables.map((v, i) => [v, v === grammar.startSymbol ? -1 : i]));
+  const symbolFor = (i, j) =>
+    Array.from(table[i][j])
+      .filter((A) => rank.has(A))
+      .sort((a, b) => rank.get(a) - rank.get(b))[0];
+  // best[j]: fewest pieces (then fewest gaps) covering tokens 0..j-1
+  const best = [{ pieces: 0, gaps: 0, from: null }];
+  for (let j = 1; j <= n; j++) {
+    let choice = { pieces: best[j - 1].pieces + 1, gaps: best[j - 1].gaps + 1, from: j - 1, symbol: null };
+    for (let i = 0; i < j; i++) {
+      const symbol = symbolFor(i, j - 1);
+      if (!symbol) continue;
+      const cand = { pieces: best[i].pieces + 1, gaps: best[i].gaps, from: i, symbol };
+      if (cand.pieces < choice.pieces || (cand.pieces === choice.pieces && cand.gaps < choice.gaps)) {
+        choice = cand;
+      }
+    }
+    best[j] = choice;
+  }
+  const build = (A, i, j) => {
+    const first = (back[i][j].get(A) || [])[0];
+    if (!first) return { label: A };
+    if (first.type === "terminal") return { label: A, child: { label: first.token } };
+    return { label: A, left: build(first.left, i, first.split), right: build(first.right, first.split + 1, j) };
+  };
+  const pieces = [];
+  for (let j = n; j > 0; j = best[j].from) {
+    const { from, symbol } = best[j];
+    pieces.unshift(
+      symbol
+        ? { start: from, end: j - 1, symbol, tree: mapTreeToOriginal(cnf, build(symbol, from, j - 1)) }
+        : { start: from, end: j - 1, symbol: null }
+    );
+  }
+  return pieces;
+};
+
+// Fewest insertions, deletions and substitutions of terminals that make `tokens` derivable
+// from the CNF grammar's start symbol. Returns { distance, edits } or null if the grammar
+// derives no string at all. Edits refer to positions in the original tokens:
+//   { type: "insert", at, token } before tokens[at] (at === n appends),
+//   { type: "delete", at, token }, { type: "substitute", at, from, to }
+export const minimumEditRepair = (grammar, tokens) => {
+  const n = tokens.length;
+  const lhs = Object.keys(grammar.rules);
+  const INF = { edits: Infinity, chars: Infinity };
+
+  // Shortest terminal string each nonterminal derives (what an insertion of it costs)
+  const shortest = new Map();
+  for (let changed = true; changed; ) {
+    changed = false;
+    lhs.forEach((A) => {
+      grammar.rules[A].forEach((rhs) => {
+        let len;
+        if (rhs.length === 0) len = 0;
+        else if (rhs.length === 1) len = 1;
+        else if (shortest.has(rhs[0]) && shortest.has(rhs[1])) {
+          len = shortest.get(rhs[0]).length + shortest.get(rhs[1]).length;
+        }
+        if (len !== undefined && (!shortest.has(A) || len < shortest.get(A).length)) {
+          shortest.set(A, { length: len, rhs });
+          changed = true;
+        }
+      });
+    });
+  }
+  const shortestYield = (A) => {
+    const { rhs } = shortest.get(A);
+    if (rhs.length <= 1) return rhs;
+    return [...shortestYield(rhs[0]), ...shortestYield(rhs[1])];
+  };
+
+  // cost[i][j]: Map A -> { edits, chars, choice } for tokens i..j-1 (i === j is the empty span)
+  const cost = Array.from({ length: n + 1 }, () => Array.from({ length: n + 1 }, () => new Map()));
+  const get = (A, i, j) => cost[i][j].get(A) || INF;
+  const offer = (A, i, j, value) => {
+    if (!better(value, cost[i][j].get(A))) return false;
+    cost[i][j].set(A, value);
+    return true;
+  };
+  shortest.forEach(({ length }, A) => {
+    for (let i = 0; i <= n; i++) cost[i][i].set(A, { edits: length, chars: 0, choice: { type: "insert" } });
+  });
+
+  for (let len = 1; len <= n; len++) {
+    for (let i = 0; i + len <= n; i++) {
+      const j = i + len;
+      lhs.forEach((A) => {
+        grammar.rules[A].forEach((rhs) => {
+          if (rhs.length === 0) {
+            offer(A, i, j, { edits: len, chars: 0, choice: { type: "empty" } });
+          } else if (rhs.length === 1) {
+            // Keep one token as this terminal (matching or substituted) and delete the rest
+            const a = rhs[0];
+            const match = tokens.slice(i, j).indexOf(a);
+            if (match >= 0) {
+              offer(A, i, j, { edits: len - 1, chars: 0, choice: { type: "terminal", a, keep: i + match } });
+            } else {
+              for (let m = i; m < j; m++) {
+                offer(A, i, j, {
+                  edits: len,
+                  chars: levenshtein(tokens[m], a),
+                  choice: { type: "terminal", a, keep: m },
+                });
+              }
+            }
+          } else {
+            for (let k = i + 1; k < j; k++) {
+              const sum = add(get(rhs[0], i, k), get(rhs[1], k, j));
+              if (sum.edits < Infinity) offer(A, i, j, { ...sum, choice: { type: "binary", rhs, k } });
+            }
+          }
+        });
+      });
+      // Splits with an empty side depend on the same span; relax until nothing improves
+      for (let changed = true; changed; ) {
+        changed = false;
+        lhs.forEach((A) => {
+          grammar.rules[A].forEach((rhs) => {
+            if (rhs.length !== 2) return;
+            [i, j].forEach((k) => {
+              const sum = add(get(rhs[0], i, k), get(rhs[1], k, j));
+              if (sum.edits < Infinity && offer(A, i, j, { ...sum, choice: { type: "binary", rhs, k } })) {
+                changed = true;
+              }
+            });
+          });
+        });
+      }
+    }
+  }
+
+  const S = grammar.startSymbol;
+  const total = get(S, 0, n);
+  if (total.edits === Infinity) return null;
+  const edits = [];
+  const walk = (A, i, j) => {
+    const { choice } = cost[i][j].get(A);
+    if (choice.type === "insert") {
+      shortestYield(A).forEach((token) => edits.push({ type: "insert", at: i, token }));
+    } else if (choice.type === "empty") {
+      for (let m = i; m < j; m++) edits.push({ type: "delete", at: m, token: tokens[m] });
+    } else if (choice.type === "terminal") {
+      for (let m = i; m < j; m++) {
+        if (m !== choice.keep) edits.push({ type: "delete", at: m, token: tokens[m] });
+        else if (tokens[m] !== choice.a) edits.push({ type: "substitute", at: m, from: tokens[m], to: choice.a });
+      }
+    } else {
+      walk(choice.rhs[0], i, choice.k);
+      walk(choice.rhs[1], choice.k, j);
+    }
+  };
+  walk(S, 0, n);
+  return { distance: total.edits, edits };
+};
+
+export const describeEdit = (edit, tokens) => {
+  if (edit.type === "substitute") return `replace '${edit.from}' with '${edit.to}'`;
+  if (edit.type === "delete") return `delete '${edit.token}'`;
+  return edit.at < tokens.length
+    ? `insert '${edit.token}' before '${tokens[edit.at]}'`
+    : `insert '${edit.token}' at the end`;
+};
+
+// Apply any subset of the edits from one minimumEditRepair result
+export const applyEdits = (tokens, edits) => {
+  const out = [];
+  for (let at = 0; at <= tokens.length; at++) {
+    edits.filter((e) => e.type === "insert" && e.at === at).forEach((e) => out.push(e.token));
+    if (at === tokens.length) break;
+    const edit = edits.find((e) => e.type !== "insert" && e.at === at);
+    if (!edit) out.push(tokens[at]);
+    else if (edit.type === "substitute") out.push(edit.to);
+  }
+  return out;
+};
+
+// Partial forest and minimum-edit repair for a rejected runCyk result
+export const analyzeRejection = (grammarText, r) => ({
+  forest: partialParseForest(r, parseGrammarFromText(grammarText)),
+  repair: minimumEditRepair(r.cnf.grammar, r.tokens),
+});
@@ -0,0 +1,52 @@
+// Shareable links: the active tab and the Simulator/PGC workspace are stored in the URL hash
+// as "#tab=PGC&w=<payload>". The payload is the workspace JSON, deflated when the browser
+// supports CompressionStream, then base64url-encoded. A leading "z" marks deflated payloads
+// and "j" plain JSON, so links keep working across browsers.
+
+const toBase64Url = (bytes) => {
+  let binary = "";
+  bytes.forEach((b) => (binary += String.fromCharCode(b)));
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+};
+
+const pipeThrough = async (bytes, stream) =>
+  new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+export const encodeWorkspace = async (workspace) => {
+  const bytes = new TextEncoder().encode(JSON.stringify(workspace));
+  if (typeof CompressionStream === "undefined") return `j${toBase64Url(bytes)}`;
+  return `z${toBase64Url(await pipeThrough(bytes, new CompressionStream("deflate-raw")))}`;
+};
+
+// Returns null for payloads that are missing, truncated or otherwise unreadable
+export const decodeWorkspace = async (payload) => {
+  if (!payload) return null;
+  try {
+    let bytes = fromBase64Url(payload.slice(1));
+    if (payload[0] === "z") {
+      bytes = await pipeThrough(bytes, new DecompressionStream("deflate-raw"));
+    } else if (payload[0] !== "j") {
+      return null;
+    }
+    const workspace = JSON.parse(new TextDecoder().decode(bytes));
+    return workspace && typeof workspace === "object" ? workspace : null;
+  } catch {
+    return null;
+  }
+};
+
+export const parseShareHash = (hash) => {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  return { tab: params.get("tab"), payload: params.get("w") };
+};
+
+export const buildShareHash = (tab, payload) => {
+  const params = new URLSearchParams({ tab });
+  if (payload) params.set("w", payload);
+  return `#${params.toString()}`;
+};
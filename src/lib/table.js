@@ -0,0 +1,132 @@
+// Exports of a filled CYK table for documents and slides: LaTeX tabular, CSV, Markdown and a
+// printable HTML snippet. Cell [i][j] (span i..j) sits in row i and column j, so the filled
+// cells form the upper-right triangle, the input tokens head the columns, and the start
+// symbol is marked where it appears in the top-right cell.
+
+import { formatProbability } from "./grammar.js";
+
+export const TABLE_FORMATS = {
+  latex: { label: "LaTeX", extension: "tex", mime: "application/x-tex" },
+  csv: { label: "CSV", extension: "csv", mime: "text/csv" },
+  markdown: { label: "Markdown", extension: "md", mime: "text/markdown" },
+  html: { label: "HTML", extension: "html", mime: "text/html" },
+};
+
+// Rows of cells: null below the diagonal, otherwise [{ symbol, text, start }] in table order
+const tableCells = (r) => {
+  const n = r.table.length;
+  const startSymbol = r.cnf ? r.cnf.grammar.startSymbol : "S";
+  return r.table.map((row, i) =>
+    row.map((cell, j) => {
+      if (j < i) return null;
+      const scores = r.best ? r.best[i][j] : null;
+      return Array.from(cell).map((A) => ({
+        symbol: A,
+        text: scores && scores.has(A) ? `${A} (${formatProbability(scores.get(A).p)})` : A,
+        start: i === 0 && j === n - 1 && A === startSymbol,
+      }));
+    })
+  );
+};
+
+const escapeLatex = (s) =>
+  s.replace(/[\\{}#$%&_^~]/g, (c) =>
+    c === "\\" ? "\\textbackslash{}" : c === "~" ? "\\textasciitilde{}" : c === "^" ? "\\textasciicircum{}" : `\\${c}`
+  );
+
+// Triangular tabular: only the upper cells get rules; filled cells are optionally shaded
+// (\cellcolor needs \usepackage[table]{xcolor})
+const formatLatex = (r, { shade }) => {
+  const n = r.table.length;
+  const rows = tableCells(r).map((row, i) => {
+    const cells = row.map((symbols, j) => {
+      if (!symbols) return "";
+      const body = symbols.length
+        ? symbols.map((s) => (s.start ? `\\textbf{${escapeLatex(s.text)}}` : escapeLatex(s.text))).join(", ")
+        : "$\\emptyset$";
+      const color = shade && symbols.length ? "\\cellcolor{gray!15}" : "";
+      return `\\multicolumn{1}{${j === i ? "|" : ""}c|}{${color}${body}}`;
+    });
+    return `${cells.join(" & ")} \\\\ \\cline{${i + 1}-${n}}`;
+  });
+  return [
+    `\\begin{tabular}{${"c".repeat(n)}}`,
+    `${r.tokens.map((t) => `\\textit{${escapeLatex(t)}}`).join(" & ")} \\\\ \\hline`,
+    ...rows,
+    "\\end{tabular}",
+  ].join("\n");
+};
+
+const csvField = (s) => (/[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s);
+
+// The start symbol is marked with a trailing * since CSV has no formatting
+const formatCsv = (r) =>
+  [
+    r.tokens.map(csvField).join(","),
+    ...tableCells(r).map((row) =>
+      row
+        .map((symbols) =>
+          symbols ? csvField(symbols.map((s) => (s.start ? `${s.text}*` : s.text)).join(", ")) : ""
+        )
+        .join(",")
+    ),
+  ].join("\n");
+
+const escapeMarkdown = (s) => s.replace(/[\\|*_`]/g, (c) => `\\${c}`);
+
+const formatMarkdown = (r) => {
+  const row = (cells) => `| ${cells.join(" | ")} |`;
+  return [
+    row(r.tokens.map((t) => `*${escapeMarkdown(t)}*`)),
+    row(r.tokens.map(() => ":---:")),
+    ...tableCells(r).map((cells) =>
+      row(
+        cells.map((symbols) => {
+          if (!symbols) return "";
+          if (!symbols.length) return "-";
+          return symbols
+            .map((s) => (s.start ? `**${escapeMarkdown(s.text)}**` : escapeMarkdown(s.text)))
+            .join(", ");
+        })
+      )
+    ),
+  ].join("\n");
+};
+
+const escapeHtml = (s) =>
+  s.replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+
+// Inline styles so the snippet keeps its look when pasted into another page or printed
+const formatHtml = (r, { shade }) => {
+  const border = "border:1px solid #9ca3af;padding:4px 10px;text-align:center";
+  const rows = tableCells(r).map((row) => {
+    const cells = row.map((symbols) => {
+      if (!symbols) return `<td style="padding:4px 10px"></td>`;
+      const background = shade && symbols.length ? ";background:#eff6ff" : "";
+      const body = symbols.length
+        ? symbols.map((s) => (s.start ? `<strong>${escapeHtml(s.text)}</strong>` : escapeHtml(s.text))).join(", ")
+        : "-";
+      return `<td style="${border}${background}">${body}</td>`;
+    });
+    return `  <tr>${cells.join("")}</tr>`;
+  });
+  return [
+    `<table style="border-collapse:collapse;font-family:Helvetica,Arial,sans-serif;font-size:14px">`,
+    `  <caption style="caption-side:bottom;padding-top:6px;color:#4b5563">CYK table for “${escapeHtml(
+      r.tokens.join(" ")
+    )}”</caption>`,
+    `  <tr>${r.tokens.map((t) => `<th style="padding:4px 10px;font-style:italic">${escapeHtml(t)}</th>`).join("")}</tr>`,
+    ...rows,
+    "</table>",
+  ].join("\n");
+};
+
+// options: { shade } shades filled cells (LaTeX and HTML)
+export const exportCykTable = (r, format, options = {}) => {
+  const opts = { shade: true, ...options };
+  if (format === "latex") return formatLatex(r, opts);
+  if (format === "csv") return formatCsv(r);
+  if (format === "markdown") return formatMarkdown(r);
+  if (format === "html") return formatHtml(r, opts);
+  throw new Error(`Unknown table format: ${format}`);
+};
@@ -0,0 +1,99 @@
+// Configurable tokenizer for the Simulator and PGC inputs. Settings:
+//   mode         "words" | "chars" | "auto" (as in tokenize) | "regex" (every match of `pattern`)
+//   caseFold     match words to grammar terminals ignoring case, lower-casing the rest
+//   punctuation  "keep" attached to words, "split" into separate tokens, or "drop"
+//   multiWord    merge runs of tokens that spell a multi-word (or, per character,
+//                multi-character) terminal such as "New York", longest match first
+
+import { tokenize } from "./cyk.js";
+
+export const DEFAULT_TOKENIZER = {
+  mode: "words",
+  pattern: "",
+  caseFold: false,
+  punctuation: "keep",
+  multiWord: true,
+};
+
+// Accepts a bare mode string (as used by the CLI and older callers) or partial settings
+const resolveSettings = (settings) =>
+  typeof settings === "string"
+    ? { ...DEFAULT_TOKENIZER, mode: settings }
+    : { ...DEFAULT_TOKENIZER, ...settings };
+
+// Error message for an unusable custom pattern, or null
+export const tokenizerPatternError = (settings) => {
+  const { mode, pattern } = resolveSettings(settings);
+  if (mode !== "regex") return null;
+  if (!pattern) return "Enter a regular expression that matches one token";
+  try {
+    new RegExp(pattern, "gu");
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+};
+
+const splitTokens = (text, { mode, pattern }) => {
+  if (mode !== "regex") return tokenize(text, mode);
+  return Array.from(text.matchAll(new RegExp(pattern, "gu")), (m) => m[0]).filter(Boolean);
+};
+
+const applyPunctuation = (tokens, punctuation) => {
+  if (punctuation === "split") {
+    return tokens.flatMap((t) => t.match(/\p{P}|[^\p{P}]+/gu) || []);
+  }
+  if (punctuation === "drop") {
+    return tokens.map((t) => t.replace(/\p{P}/gu, "")).filter(Boolean);
+  }
+  return tokens;
+};
+
+// Characters are joined without a separator, everything else with a single space
+const joinerFor = (mode, text) =>
+  mode === "chars" || (mode === "auto" && !text.trim().includes(" ")) ? "" : " ";
+
+// Greedy longest match of token runs against terminals longer than one token
+const mergeMultiWord = (tokens, terminals, joiner, caseFold) => {
+  const key = (s) => (caseFold ? s.toLowerCase() : s);
+  const pieces = (t) => (joiner ? t.trim().split(/\s+/) : t.split(""));
+  const byKey = new Map();
+  let longest = 1;
+  terminals.forEach((t) => {
+    const len = pieces(t).length;
+    if (len < 2) return;
+    byKey.set(key(pieces(t).join(joiner)), t);
+    longest = Math.max(longest, len);
+  });
+  if (longest < 2) return tokens;
+  const out = [];
+  for (let i = 0; i < tokens.length; ) {
+    let merged = null;
+    for (let len = Math.min(longest, tokens.length - i); len >= 2 && !merged; len--) {
+      const terminal = byKey.get(key(tokens.slice(i, i + len).join(joiner)));
+      if (terminal) merged = { terminal, len };
+    }
+    if (merged) {
+      out.push(merged.terminal);
+      i += merged.len;
+    } else {
+      out.push(tokens[i]);
+      i += 1;
+    }
+  }
+  return out;
+};
+
+// Tokens exactly as they are fed to CYK; `terminals` are the grammar's terminal symbols
+export const tokenizeInput = (text, settings, terminals = []) => {
+  const opts = resolveSettings(settings);
+  let tokens = applyPunctuation(splitTokens(text, opts), opts.punctuation);
+  if (opts.multiWord) {
+    tokens = mergeMultiWord(tokens, terminals, joinerFor(opts.mode, text), opts.caseFold);
+  }
+  if (opts.caseFold) {
+    const byLower = new Map(terminals.map((t) => [t.toLowerCase(), t]));
+    tokens = tokens.map((t) => byLower.get(t.toLowerCase()) || t.toLowerCase());
+  }
+  return tokens;
+};
@@ -0,0 +1,194 @@
+// Parse tree renderers for text output and react-d3-tree.
+
+export const renderAsciiTree = (node) => {
+  if (!node) return "";
+  const lines = [];
+  const draw = (n, indent) => {
+    if (!n) return;
+    lines.push(`${" ".repeat(indent)}${n.label}`);
+    if (n.children && n.children.length) {
+      if (n.children.length === 1) {
+        lines.push(`${" ".repeat(indent)}|`);
+        draw(n.children[0], indent);
+        return;
+      }
+      lines.push(`${" ".repeat(indent)}/ \\`);
+      n.children.forEach((c, idx) => draw(c, indent + 2 * idx));
+      return;
+    }
+    if (n.child) {
+      lines.push(`${" ".repeat(indent)}|`);
+      lines.push(`${" ".repeat(indent)}${n.child.label}`);
+      return;
+    }
+    if (n.left || n.right) {
+      lines.push(`${" ".repeat(indent)}/ \\`);
+      draw(n.left, indent + 0);
+      draw(n.right, indent + 2);
+    }
+  };
+  draw(node, 0);
+  return lines.join("\n");
+};
+
+export const toD3Tree = (node) => {
+  if (!node) return null;
+  if (node.children && node.children.length) {
+    return { name: node.label, children: node.children.map(toD3Tree) };
+  }
+  if (node.child) {
+    return { name: node.label, children: [{ name: node.child.label }] };
+  }
+  if (node.left || node.right) {
+    return {
+      name: node.label,
+      children: [toD3Tree(node.left), toD3Tree(node.right)].filter(Boolean),
+    };
+  }
+  return { name: node.label };
+};
+
+// Children of a mapped ({ children }) or CNF ({ child } / { left, right }) tree node
+const childrenOf = (node) =>
+  node.children && node.children.length
+    ? node.children
+    : node.child
+      ? [node.child]
+      : [node.left, node.right].filter(Boolean);
+
+// Treebank escapes: brackets become -LRB-/-RRB- and spaces inside a token (New York) become _
+const PENN_BRACKETS = { "(": "-LRB-", ")": "-RRB-" };
+
+const pennLabel = (label) => label.replace(/[()]/g, (c) => PENN_BRACKETS[c]).replace(/\s+/g, "_");
+
+// Bracketed (Penn Treebank) notation, e.g. (S (NP (Det the) (N cat)) (VP ...))
+export const formatBracketedTree = (node) => {
+  if (!node) return "";
+  const kids = childrenOf(node);
+  if (!kids.length) return pennLabel(node.label);
+  return `(${pennLabel(node.label)} ${kids.map(formatBracketedTree).join(" ")})`;
+};
+
+// Plain { label, children } structure for JSON export; leaves have no children key
+export const toJsonTree = (node) => {
+  if (!node) return null;
+  const kids = childrenOf(node);
+  return kids.length ? { label: node.label, children: kids.map(toJsonTree) } : { label: node.label };
+};
+
+const LATEX_SPECIALS = { "\\": "\\textbackslash{}", "~": "\\textasciitilde{}", "^": "\\textasciicircum{}" };
+
+const latexLabel = (label) => {
+  if (label === "ε") return "$\\epsilon$";
+  const escaped = label.replace(/[\\{}#$%&_^~]/g, (c) => LATEX_SPECIALS[c] || `\\${c}`);
+  // Brackets, commas, equals signs and spaces would confuse the forest/qtree parsers
+  return /[[\],= ]/.test(escaped) ? `{${escaped}}` : escaped;
+};
+
+// LaTeX for the forest package; preterminals are kept on one line: [Det [the]]
+export const formatForestLatex = (node) => {
+  if (!node) return "";
+  const draw = (n, indent) => {
+    const pad = "  ".repeat(indent);
+    const kids = childrenOf(n);
+    if (!kids.length) return `${pad}[${latexLabel(n.label)}]`;
+    if (kids.every((k) => !childrenOf(k).length)) {
+      return `${pad}[${latexLabel(n.label)} ${kids.map((k) => `[${latexLabel(k.label)}]`).join(" ")}]`;
+    }
+    return `${pad}[${latexLabel(n.label)}\n${kids.map((k) => draw(k, indent + 1)).join("\n")}\n${pad}]`;
+  };
+  return `\\begin{forest}\n${draw(node, 1)}\n\\end{forest}`;
+};
+
+// LaTeX for the qtree package: \Tree [.S [.NP [.Det the ] [.N cat ] ] ... ]
+export const formatQtreeLatex = (node) => {
+  if (!node) return "";
+  const draw = (n) => {
+    const kids = childrenOf(n);
+    if (!kids.length) return latexLabel(n.label);
+    return `[.${latexLabel(n.label)} ${kids.map(draw).join(" ")} ]`;
+  };
+  return `\\Tree ${draw(node)}`;
+};
+
+const escapeXml = (s) =>
+  s.replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+
+// Standalone SVG drawing of the tree: each subtree gets the width of its widest row,
+// parents are centered over their children, and leaves (words) are drawn in green.
+export const renderTreeSvg = (node, { fontSize = 14, levelHeight = 56, gap = 18, padding = 20 } = {}) => {
+  if (!node) return "";
+  const charWidth = fontSize * 0.62;
+  const measure = (n, depth) => {
+    const kids = childrenOf(n).map((k) => measure(k, depth + 1));
+    const own = Math.max(n.label.length * charWidth, fontSize) + gap;
+    const kidsWidth = kids.reduce((sum, k) => sum + k.width, 0);
+    return { label: n.label, depth, kids, kidsWidth, width: Math.max(own, kidsWidth) };
+  };
+  const place = (n, left) => {
+    if (!n.kids.length) {
+      n.x = left + n.width / 2;
+      return;
+    }
+    let x = left + (n.width - n.kidsWidth) / 2;
+    n.kids.forEach((k) => {
+      place(k, x);
+      x += k.width;
+    });
+    n.x = (n.kids[0].x + n.kids[n.kids.length - 1].x) / 2;
+  };
+  const root = measure(node, 0);
+  place(root, padding);
+  const yOf = (n) => padding + n.depth * levelHeight + fontSize;
+  const lines = [];
+  const labels = [];
+  let maxDepth = 0;
+  const emit = (n) => {
+    maxDepth = Math.max(maxDepth, n.depth);
+    const fill = n.kids.length ? "#1e3a8a" : "#047857";
+    labels.push(
+      `<text x="${n.x.toFixed(1)}" y="${yOf(n)}" text-anchor="middle" fill="${fill}">${escapeXml(n.label)}</text>`
+    );
+    n.kids.forEach((k) => {
+      lines.push(
+        `<line x1="${n.x.toFixed(1)}" y1="${yOf(n) + 6}" x2="${k.x.toFixed(1)}" y2="${yOf(k) - fontSize}" />`
+      );
+      emit(k);
+    });
+  };
+  emit(root);
+  const width = Math.ceil(root.width + 2 * padding);
+  const height = Math.ceil(2 * padding + maxDepth * levelHeight + fontSize + 6);
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<rect width="100%" height="100%" fill="#ffffff" />`,
+    `<g stroke="#94a3b8" stroke-width="1.5">${lines.join("")}</g>`,
+    `<g font-family="Helvetica, Arial, sans-serif" font-size="${fontSize}">${labels.join("")}</g>`,
+    "</svg>",
+  ].join("\n");
+};
+
+// Derivation sequence behind a mapped parse tree, as sentential forms from the start symbol to
+// the sentence. order is 'leftmost' or 'rightmost': which nonterminal is rewritten at each step.
+// Returns [{ symbols, expanded, rule }] where `expanded` is the index in `symbols` of the
+// nonterminal rewritten next (null on the final sentence) and `rule` the production used.
+export const derivationSteps = (tree, order = "leftmost") => {
+  if (!tree) return [];
+  const steps = [];
+  let form = [tree];
+  for (;;) {
+    const open = form.map((n, idx) => (childrenOf(n).length ? idx : -1)).filter((idx) => idx >= 0);
+    const expanded = open.length ? (order === "rightmost" ? open[open.length - 1] : open[0]) : null;
+    const symbols = form.map((n) => n.label);
+    if (expanded === null) {
+      steps.push({ symbols, expanded: null, rule: null });
+      return steps;
+    }
+    const node = form[expanded];
+    const kids = childrenOf(node);
+    steps.push({ symbols, expanded, rule: `${node.label} → ${kids.map((k) => k.label).join(" ")}` });
+    // An ε child rewrites the nonterminal to nothing
+    const replacement = kids.filter((k) => k.label !== "ε" || childrenOf(k).length);
+    form = [...form.slice(0, expanded), ...replacement, ...form.slice(expanded + 1)];
+  }
+};